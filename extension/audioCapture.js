@@ -3,12 +3,33 @@
  * Provides audio capture and analysis functionality
  */
 
+// FFT size of the small per-source analysers used only for level metering
+const SOURCE_LEVEL_FFT_SIZE = 256;
+
+// Analyser settings used until the web app asks for others
+const DEFAULT_ANALYSER_CONFIG = {
+  fftSize: 2048,
+  smoothing: 0.8,
+  minDecibels: -100,
+  maxDecibels: -30,
+  extended: false
+};
+
+// Channel order of the splitter feeding the per-channel analysers
+const CHANNEL_NAMES = ['left', 'right'];
+
 class AudioCapture {
   constructor() {
-    this.stream = null;
     this.audioContext = null;
     this.analyser = null;
-    this.mediaStreamSource = null;
+    this.channelAnalysers = []; // One analyser per entry of CHANNEL_NAMES
+    this.splitter = null;
+    this.mixer = null;
+    this.monitorGain = null;
+    this.monitorVolume = 1;
+    this.monitorMuted = false;
+    this.analyserConfig = { ...DEFAULT_ANALYSER_CONFIG };
+    this.sources = new Map(); // Source ID -> { stream, mediaStreamSource, gainNode, levelAnalyser }
     this.isCapturing = false;
     this.captureTabId = null;
     this.dataCallback = null;
@@ -47,9 +68,11 @@ class AudioCapture {
   /**
    * Start audio capture directly from a provided media stream
    * @param {MediaStream} stream - The media stream to capture audio from
+   * @param {string|number} sourceId - Optional ID identifying the stream's source
+   * @param {number} gain - Optional gain applied to the stream before mixing
    * @returns {boolean} Success status
    */
-  startCapture(stream) {
+  startCapture(stream, sourceId = 'default', gain = 1) {
     if (!stream) {
       this.lastError = 'No stream provided for audio capture';
       console.error(this.lastError);
@@ -60,21 +83,44 @@ class AudioCapture {
       // Stop any existing capture
       this.stopCapture();
       
-      this.stream = stream;
-      
       // Create audio context and analyser node
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       this.analyser = this.audioContext.createAnalyser();
       
-      // Configure analyser
-      this.analyser.fftSize = 2048;
-      this.analyser.smoothingTimeConstant = 0.8;
+      // All sources are summed into the mixer, which feeds the analyser.
+      // Mixing explicitly to stereo upmixes mono sources onto both channels
+      this.mixer = this.audioContext.createGain();
+      this.mixer.channelCount = CHANNEL_NAMES.length;
+      this.mixer.channelCountMode = 'explicit';
+      this.mixer.channelInterpretation = 'speakers';
+      this.mixer.connect(this.analyser);
       
-      // Create media stream source and connect to analyser
-      this.mediaStreamSource = this.audioContext.createMediaStreamSource(stream);
-      this.mediaStreamSource.connect(this.analyser);
+      // Split the mix so each channel gets its own analyser for extended frames
+      this.splitter = this.audioContext.createChannelSplitter(CHANNEL_NAMES.length);
+      this.mixer.connect(this.splitter);
+      this.channelAnalysers = CHANNEL_NAMES.map((name, index) => {
+        const channelAnalyser = this.audioContext.createAnalyser();
+        this.splitter.connect(channelAnalyser, index);
+        return channelAnalyser;
+      });
+      
+      // Configure the mono and channel analysers
+      this._applyAnalyserConfig();
+      
+      // Captured tabs go silent unless their audio is played back, so route
+      // the mix to the speakers through an adjustable monitor gain
+      this.monitorGain = this.audioContext.createGain();
+      this.monitorGain.gain.value = this.monitorMuted ? 0 : this.monitorVolume;
+      this.mixer.connect(this.monitorGain);
+      this.monitorGain.connect(this.audioContext.destination);
       
       this.isCapturing = true;
+      
+      if (!this.addSource(sourceId, stream, gain)) {
+        this.stopCapture();
+        return false;
+      }
+      
       console.log('Audio capture started successfully');
       return true;
     } catch (error) {
@@ -85,6 +131,218 @@ class AudioCapture {
     }
   }
   
+  /**
+   * Add another media stream to the mix of a running capture
+   * @param {string|number} sourceId - ID identifying the stream's source
+   * @param {MediaStream} stream - The media stream to mix in
+   * @param {number} gain - Optional gain applied to the stream before mixing
+   * @returns {boolean} Success status
+   */
+  addSource(sourceId, stream, gain = 1) {
+    if (!this.audioContext || !this.mixer) {
+      this.lastError = 'Cannot add source: not capturing';
+      console.error(this.lastError);
+      return false;
+    }
+    
+    try {
+      // Replace any stream already registered under this ID
+      this.removeSource(sourceId);
+      
+      const mediaStreamSource = this.audioContext.createMediaStreamSource(stream);
+      const gainNode = this.audioContext.createGain();
+      gainNode.gain.value = gain;
+      
+      // Meter each source after its gain so levels reflect what is mixed
+      const levelAnalyser = this.audioContext.createAnalyser();
+      levelAnalyser.fftSize = SOURCE_LEVEL_FFT_SIZE;
+      
+      mediaStreamSource.connect(gainNode);
+      gainNode.connect(this.mixer);
+      gainNode.connect(levelAnalyser);
+      
+      this.sources.set(sourceId, { stream, mediaStreamSource, gainNode, levelAnalyser });
+      console.log(`Added audio source ${sourceId}`);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('Error adding audio source:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove a source from the mix and stop its stream
+   * @param {string|number} sourceId - ID of the source to remove
+   * @returns {boolean} Whether a source was removed
+   */
+  removeSource(sourceId) {
+    const source = this.sources.get(sourceId);
+    if (!source) {
+      return false;
+    }
+    
+    source.stream.getTracks().forEach(track => track.stop());
+    source.mediaStreamSource.disconnect();
+    source.gainNode.disconnect();
+    
+    this.sources.delete(sourceId);
+    console.log(`Removed audio source ${sourceId}`);
+    return true;
+  }
+  
+  /**
+   * Set the gain a source is mixed with
+   * @param {string|number} sourceId - ID of the source
+   * @param {number} gain - Linear gain, 1 leaves the source unchanged
+   * @returns {boolean} Whether the source exists
+   */
+  setSourceGain(sourceId, gain) {
+    const source = this.sources.get(sourceId);
+    if (!source) {
+      return false;
+    }
+    
+    source.gainNode.gain.value = gain;
+    return true;
+  }
+  
+  /**
+   * Set the volume the captured audio is played back at
+   * @param {number} volume - Linear volume between 0 and 1
+   */
+  setMonitorVolume(volume) {
+    this.monitorVolume = Math.max(0, Math.min(1, volume));
+    this._applyMonitorGain();
+  }
+  
+  /**
+   * Mute or unmute playback of the captured audio without affecting analysis
+   * @param {boolean} muted - Whether playback is muted
+   */
+  setMonitorMuted(muted) {
+    this.monitorMuted = Boolean(muted);
+    this._applyMonitorGain();
+  }
+  
+  /**
+   * Get the current monitor settings
+   * @returns {Object} Object with volume and muted
+   */
+  getMonitorState() {
+    return {
+      volume: this.monitorVolume,
+      muted: this.monitorMuted
+    };
+  }
+  
+  /**
+   * Change the analyser settings, live if capturing
+   * 
+   * Values AnalyserNode can't take are corrected: fftSize is rounded to a
+   * power of two between 32 and 32768, smoothing is clamped to 0-1 and a
+   * decibel range whose minimum isn't below its maximum is ignored.
+   * @param {Object} config - Object with optional fftSize, smoothing, minDecibels,
+   *   maxDecibels and extended (whether frames carry float per-channel data)
+   * @returns {Object} The effective config, see getAnalyserConfig()
+   */
+  setAnalyserConfig(config) {
+    const next = { ...this.analyserConfig };
+    
+    if (typeof config.fftSize === 'number' && config.fftSize > 0) {
+      const exponent = Math.round(Math.log2(config.fftSize));
+      next.fftSize = Math.pow(2, Math.max(5, Math.min(15, exponent)));
+    }
+    
+    if (typeof config.smoothing === 'number') {
+      next.smoothing = Math.max(0, Math.min(1, config.smoothing));
+    }
+    
+    const minDecibels = typeof config.minDecibels === 'number' ? config.minDecibels : next.minDecibels;
+    const maxDecibels = typeof config.maxDecibels === 'number' ? config.maxDecibels : next.maxDecibels;
+    if (minDecibels < maxDecibels) {
+      next.minDecibels = minDecibels;
+      next.maxDecibels = maxDecibels;
+    }
+    
+    if (typeof config.extended === 'boolean') {
+      next.extended = config.extended;
+    }
+    
+    this.analyserConfig = next;
+    this._applyAnalyserConfig();
+    
+    return this.getAnalyserConfig();
+  }
+  
+  /**
+   * Get the effective analyser settings
+   * @returns {Object} Object with fftSize, smoothing, minDecibels, maxDecibels,
+   *   extended, frequencyBinCount and sampleRate (null when not capturing)
+   */
+  getAnalyserConfig() {
+    return {
+      ...this.analyserConfig,
+      frequencyBinCount: this.analyserConfig.fftSize / 2,
+      sampleRate: this.audioContext ? this.audioContext.sampleRate : null
+    };
+  }
+  
+  /**
+   * Get float spectra and waveforms for each channel of the mix
+   * 
+   * Spectra are in dB and clamped to minDecibels, since silent bins read as
+   * -Infinity, which doesn't survive extension messaging.
+   * @returns {Object|null} Map of channel name to { frequencyData, timeData }
+   *   Float32Arrays, or null if not capturing
+   */
+  getChannelData() {
+    if (this.channelAnalysers.length === 0) {
+      return null;
+    }
+    
+    const channels = {};
+    const minDecibels = this.analyserConfig.minDecibels;
+    
+    this.channelAnalysers.forEach((channelAnalyser, index) => {
+      const frequencyData = new Float32Array(channelAnalyser.frequencyBinCount);
+      channelAnalyser.getFloatFrequencyData(frequencyData);
+      for (let i = 0; i < frequencyData.length; i++) {
+        if (!(frequencyData[i] >= minDecibels)) {
+          frequencyData[i] = minDecibels;
+        }
+      }
+      
+      const timeData = new Float32Array(channelAnalyser.fftSize);
+      channelAnalyser.getFloatTimeDomainData(timeData);
+      
+      channels[CHANNEL_NAMES[index]] = { frequencyData, timeData };
+    });
+    
+    return channels;
+  }
+  
+  /**
+   * Get the current RMS level of every source
+   * @returns {Object} Map of source ID to level between 0 and 1
+   */
+  getSourceLevels() {
+    const levels = {};
+    
+    this.sources.forEach((source, sourceId) => {
+      const samples = new Float32Array(source.levelAnalyser.fftSize);
+      source.levelAnalyser.getFloatTimeDomainData(samples);
+      
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+      }
+      levels[sourceId] = Math.min(1, Math.sqrt(sum / samples.length));
+    });
+    
+    return levels;
+  }
+  
   /**
    * Stop audio capture and clean up resources
    */
@@ -104,18 +362,25 @@ class AudioCapture {
         this.captureTabId = null;
       }
       
-      // Stop all tracks in the stream
-      if (this.stream) {
-        this.stream.getTracks().forEach(track => track.stop());
-        this.stream = null;
+      // Stop all source streams and disconnect their nodes
+      Array.from(this.sources.keys()).forEach(sourceId => this.removeSource(sourceId));
+      
+      if (this.mixer) {
+        this.mixer.disconnect();
+        this.mixer = null;
       }
       
-      // Disconnect and clean up audio nodes
-      if (this.mediaStreamSource) {
-        this.mediaStreamSource.disconnect();
-        this.mediaStreamSource = null;
+      if (this.monitorGain) {
+        this.monitorGain.disconnect();
+        this.monitorGain = null;
       }
       
+      if (this.splitter) {
+        this.splitter.disconnect();
+        this.splitter = null;
+      }
+      this.channelAnalysers = [];
+      
       // Close audio context
       if (this.audioContext && this.audioContext.state !== 'closed') {
         this.audioContext.close();
@@ -249,11 +514,19 @@ class AudioCapture {
       const timeData = new Uint8Array(this.analyser.frequencyBinCount);
       this.analyser.getByteTimeDomainData(timeData);
       
-      return {
+      const data = {
         frequencyData,
         timeData,
+        sourceLevels: this.getSourceLevels(),
         timestamp: Date.now()
       };
+      
+      // Extended frames add full-range float data for each channel
+      if (this.analyserConfig.extended) {
+        data.channels = this.getChannelData();
+      }
+      
+      return data;
     }
     
     return null;
@@ -307,6 +580,42 @@ class AudioCapture {
     return this.lastError;
   }
   
+  /**
+   * Apply the analyser config to the analyser node
+   * @private
+   */
+  _applyAnalyserConfig() {
+    if (!this.analyser) {
+      return;
+    }
+    
+    const config = this.analyserConfig;
+    [this.analyser, ...this.channelAnalysers].forEach(analyser => {
+      analyser.fftSize = config.fftSize;
+      analyser.smoothingTimeConstant = config.smoothing;
+      
+      // AnalyserNode throws if minDecibels >= maxDecibels at any point, so
+      // order the two assignments to keep the range valid in between
+      if (config.minDecibels >= analyser.maxDecibels) {
+        analyser.maxDecibels = config.maxDecibels;
+        analyser.minDecibels = config.minDecibels;
+      } else {
+        analyser.minDecibels = config.minDecibels;
+        analyser.maxDecibels = config.maxDecibels;
+      }
+    });
+  }
+  
+  /**
+   * Apply the monitor volume and mute state to the monitor gain node
+   * @private
+   */
+  _applyMonitorGain() {
+    if (this.monitorGain) {
+      this.monitorGain.gain.value = this.monitorMuted ? 0 : this.monitorVolume;
+    }
+  }
+  
   /**
    * Send a message to the background script
    * @private
@@ -1,115 +1,909 @@
 // Background script for DarnViz extension - Phase 2 implementation
 
-// Always use demo mode initially until real audio capture is working
-let demoMode = true;
-let visualizerTabId = null;  // Tab ID where visualizations are displayed
+importScripts('settings.js', 'protocol.js', 'signals.js');
+
+// Message types shared with the content script and web app
+const { MESSAGE_TYPES } = darnvizProtocol;
+
+// Demo mode is only used when explicitly requested with startCapture
+let demoMode = false;
+let captureSources = [];     // Tabs being captured and mixed, each { tabId, gain }
 let isCapturing = false;
+let resumed = false;         // Whether the session was restored after a worker restart
+let pauseState = null;       // While paused, { tabId, reason, followTabId }; a null tabId resumes on any audible tab
 let dataInterval = null;
+let keepAliveInterval = null;
+let analyserConfig = {};     // Analyser settings requested by the web app
+let effectiveAnalyserConfig = null; // Settings actually in use, echoed to the web app
+let badgeLevel = null;       // Coarse level last shown on the badge
+let pendingMonitor = null;   // Monitor settings applied live but not saved yet
+let monitorSaveTimer = null;
+let lastBadgeUpdate = 0;
+
+// Key in chrome.storage.session holding the capture session
+const SESSION_STORAGE_KEY = 'captureSession';
+
+// Size and decibel range of the synthetic demo frames
+const DEMO_FRAME_FORMAT = darnvizSignals.FRAME_FORMAT;
+
+// Monitor changes are saved once they stop for this long; slider drags send
+// many, and chrome.storage.sync only allows about 120 writes a minute
+const MONITOR_SAVE_DELAY = 1000;
+
+// Minimum time between toolbar badge level updates
+const BADGE_UPDATE_INTERVAL = 250;
+
+// Badge text for each coarse live level, quietest first
+const BADGE_LEVELS = ['\u2581', '\u2582', '\u2584', '\u2586', '\u2588'];
+
+// Interval of the keep-alive ping that stops the worker suspending while capturing
+const KEEP_ALIVE_INTERVAL = 20000;
+
+// Offscreen document that runs the AudioCapture analyser for real captures
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// Port name used by content.js when a visualizer tab subscribes to audio data
+const VISUALIZER_PORT_NAME = 'darnviz-visualizer';
+
+// Subscribed visualizer tabs, keyed by tab ID, each with its long-lived port
+const visualizerPorts = new Map();
+
+// Listen for visualizer tabs connecting to receive audio data
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== VISUALIZER_PORT_NAME) return;
+  
+  const tabId = port.sender && port.sender.tab ? port.sender.tab.id : null;
+  if (tabId === null) return;
+  
+  // Only pages on a configured visualizer origin may subscribe to audio data
+  isVisualizerSender(port.sender).then((allowed) => {
+    if (!allowed) {
+      console.warn('Rejected visualizer port from', port.sender.origin || port.sender.url);
+      port.disconnect();
+      return;
+    }
+    subscribeVisualizer(tabId, port);
+  });
+});
+
+/**
+ * Subscribe a visualizer tab's port to status and audio data
+ * @param {number} tabId - Visualizer tab ID
+ * @param {chrome.runtime.Port} port - Port opened by the tab's content script
+ */
+function subscribeVisualizer(tabId, port) {
+  console.log('Visualizer tab connected:', tabId);
+  visualizerPorts.set(tabId, port);
+  
+  port.onDisconnect.addListener(() => {
+    console.log('Visualizer tab disconnected:', tabId);
+    
+    // A newer connection from the same tab may already have replaced this one
+    if (visualizerPorts.get(tabId) === port) {
+      visualizerPorts.delete(tabId);
+    }
+  });
+  
+  // Bring the new tab up to date once any persisted session is back
+  sessionRestored.then(async () => {
+    postToVisualizer(tabId, getCaptureStatusMessage());
+    postToVisualizer(tabId, await getMonitorStatusMessage());
+    if (effectiveAnalyserConfig) {
+      postToVisualizer(tabId, getAnalyserConfigMessage());
+    }
+    
+    // If no demo data interval is running, start it
+    if (isCapturing && demoMode && !dataInterval) {
+      startAudioDataInterval();
+    }
+  });
+}
+
+/**
+ * Check whether a port was opened from a configured visualizer origin
+ * @param {chrome.runtime.MessageSender} sender - Sender of the port
+ * @returns {Promise<boolean>} Whether the sender's origin is allowed
+ */
+async function isVisualizerSender(sender) {
+  const origin = sender.origin || darnvizSettings.normalizeOrigin(sender.url || '');
+  if (!origin) return false;
+  
+  const settings = await darnvizSettings.get();
+  return darnvizSettings.getVisualizerOrigins(settings).includes(origin);
+}
+
+// ID of the dynamically registered content script bridging the visualizer page
+const CONTENT_SCRIPT_ID = 'darnviz-bridge';
+
+// ID of the "Visualize this tab" context menu entry
+const CONTEXT_MENU_ID = 'darnviz-visualize-tab';
+
+// Register the content script for the configured origins
+chrome.runtime.onInstalled.addListener(() => {
+  registerContentScript();
+  
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ID,
+    title: 'Visualize this tab',
+    contexts: ['page']
+  });
+});
+chrome.runtime.onStartup.addListener(() => registerContentScript());
+
+// Capture the clicked page's tab and bring up the visualizer
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID || !tab) return;
+  
+  startTabCapture(tab.id, response => {
+    console.log('Capture started from context menu:', response);
+    
+    if (response && response.success) {
+      openOrFocusVisualizer();
+    }
+  });
+});
+
+// Follow changes made on the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.visualizerUrl || changes.allowedOrigins)) {
+    registerContentScript();
+  }
+});
 
-// Listen for messages from popup or content script
+// Handle keyboard shortcuts declared in the manifest
+chrome.commands.onCommand.addListener((command, tab) => {
+  console.log('Command received:', command);
+  
+  switch (command) {
+    case 'toggle-capture':
+      // The shortcut invokes the extension on its tab, so a capture waiting
+      // to follow another tab moves there instead of stopping
+      if (isCapturing && !(pauseState && pauseState.followTabId)) {
+        stopAudioCapture();
+      } else {
+        startTabCapture(tab ? tab.id : null, response => {
+          console.log('Capture started from keyboard shortcut:', response);
+        });
+      }
+      break;
+      
+    case 'open-visualizer':
+      openOrFocusVisualizer();
+      break;
+      
+    case 'next-visualization':
+      broadcastToVisualizers({ type: MESSAGE_TYPES.NEXT_VISUALIZATION });
+      break;
+      
+    case 'previous-visualization':
+      broadcastToVisualizers({ type: MESSAGE_TYPES.PREVIOUS_VISUALIZATION });
+      break;
+      
+    case 'toggle-fullscreen':
+      toggleVisualizerFullscreen(tab);
+      break;
+  }
+});
+
+// Prune visualizer tabs as soon as they close, and react to the captured tab closing
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (visualizerPorts.delete(tabId)) {
+    console.log('Visualizer tab closed:', tabId);
+  }
+  
+  if (isCapturedTab(tabId)) {
+    handleCapturedTabChange(tabId, 'tab-closed');
+  }
+});
+
+// Watch navigation, mute and audible changes of the captured tab
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!isCapturing || demoMode) return;
+  
+  const unmuted = changeInfo.mutedInfo && !changeInfo.mutedInfo.muted;
+  
+  // A paused capture resumes once its tab (or, when following, any tab) plays again
+  if (pauseState && (changeInfo.audible === true || (unmuted && tab.audible))) {
+    if (pauseState.tabId === tabId) {
+      resumeCapture(unmuted ? 'tab-unmuted' : 'tab-audible');
+    } else if (pauseState.tabId === null && !visualizerPorts.has(tabId)) {
+      followTab(tabId);
+    }
+    return;
+  }
+  
+  if (pauseState || !isCapturedTab(tabId)) return;
+  
+  if (changeInfo.mutedInfo && changeInfo.mutedInfo.muted) {
+    handleCapturedTabChange(tabId, 'tab-muted');
+  } else if (changeInfo.url && changeInfo.status === 'loading') {
+    handleCapturedTabChange(tabId, 'tab-navigated');
+  }
+});
+
+// Listen for messages from popup or offscreen document
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Background script received message:', message);
+  // Audio frames arrive ~20 times a second, so don't log them
+  if (message.action !== 'offscreenAudioData' && message.action !== 'ping') {
+    console.log('Background script received message:', message);
+  }
+  
+  // Messages addressed to the offscreen document are not ours to answer
+  if (message.target === 'offscreen') {
+    return false;
+  }
   
   if (message.action === 'startCapture') {
-    console.log('Starting capture in demo mode');
-    startDemoAudioCapture(sendResponse);
+    if (message.demoMode) {
+      console.log('Starting capture in demo mode');
+      startDemoAudioCapture(sendResponse);
+    } else {
+      startTabCapture(message.tabId, sendResponse);
+    }
     // Must return true for asynchronous response
     return true;
   }
+  else if (message.action === 'addCaptureSource') {
+    addTabSource(message.tabId, message.gain, sendResponse);
+    return true;
+  }
+  else if (message.action === 'removeCaptureSource') {
+    removeTabSource(message.tabId, sendResponse);
+    return true;
+  }
+  else if (message.action === 'setSourceGain') {
+    setTabSourceGain(message.tabId, message.gain, sendResponse);
+    return true;
+  }
+  else if (message.action === 'ping') {
+    // Clock reading for the web app's latency measurement
+    sendResponse({ extensionTime: Date.now() });
+    return false;
+  }
+  else if (message.action === 'setAnalyserConfig') {
+    setAnalyserConfig(message.config || {}, sendResponse);
+    return true;
+  }
+  else if (message.action === 'setMonitor') {
+    setMonitor(message, sendResponse);
+    return true;
+  }
+  else if (message.action === 'offscreenAudioData') {
+    // Real analyser frame from the offscreen document, dropped while paused
+    if (isCapturing && !demoMode && !pauseState) {
+      updateBadgeLevel(message.timeData);
+      sendAudioData({
+        frequencyData: message.frequencyData,
+        timeData: message.timeData,
+        sourceLevels: message.sourceLevels,
+        channels: message.channels,
+        timestamp: message.timestamp
+      });
+    }
+    return false;
+  }
   else if (message.action === 'stopCapture') {
-    stopAudioCapture();
-    sendResponse({ success: true });
+    stopAudioCapture().then(() => sendResponse({ success: true }));
+    return true;
   }
   else if (message.action === 'getStatus') {
-    sendResponse({ 
-      isCapturing,
-      visualizerTabId,
-      demoMode
+    sessionRestored.then(async () => {
+      const { monitorVolume, monitorMuted } = await getMonitorSettings();
+      sendResponse({ 
+        isCapturing,
+        visualizerTabIds: Array.from(visualizerPorts.keys()),
+        capturedTabId: getCapturedTabId(),
+        captureSources,
+        demoMode,
+        paused: Boolean(pauseState),
+        followTabId: pauseState ? pauseState.followTabId : null,
+        resumed,
+        monitor: { volume: monitorVolume, muted: monitorMuted }
+      });
     });
+    return true;
   }
   else if (message.action === 'openVisualizer') {
     openVisualizerTab(sendResponse);
     return true;
   }
-  else if (message.action === 'webAppReadyForData') {
-    // The web app tab is ready to receive audio data
-    console.log('Web app is ready to receive audio data', message);
-    
-    // Store the web app tab ID
-    const receiverTabId = sender.tab ? sender.tab.id : null;
-    visualizerTabId = receiverTabId;
-    
-    chrome.storage.local.set({ visualizerTabId: receiverTabId }, function() {
-      console.log('Visualizer tab ID set:', receiverTabId);
-      
-      // If we're already capturing, start sending data to this tab
-      if (isCapturing && receiverTabId) {
-        try {
-          chrome.tabs.sendMessage(receiverTabId, {
-            type: 'DARNVIZ_CAPTURE_STATUS',
-            isCapturing: true,
-            demoMode: demoMode
-          });
-          
-          // If no data interval is running, start it
-          if (!dataInterval) {
-            startAudioDataInterval();
-          }
-        } catch (error) {
-          console.error('Error sending capture status:', error);
-        }
-      }
-      
-      sendResponse({ success: true });
-    });
-    return true;
-  }
-  
   // Must return true for asynchronous response
   return true;
 });
 
+/**
+ * Register the content script on the visualizer origins from settings,
+ * replacing any previous registration
+ */
+async function registerContentScript() {
+  try {
+    const settings = await darnvizSettings.get();
+    const matches = darnvizSettings.getVisualizerOrigins(settings)
+      .map(origin => darnvizSettings.toMatchPattern(origin));
+    
+    const registered = await chrome.scripting.getRegisteredContentScripts({
+      ids: [CONTENT_SCRIPT_ID]
+    });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+    
+    if (matches.length === 0) {
+      console.log('No visualizer origins configured, content script not registered');
+      return;
+    }
+    
+    await chrome.scripting.registerContentScripts([{
+      id: CONTENT_SCRIPT_ID,
+      matches,
+      js: ['settings.js', 'protocol.js', 'content.js'],
+      runAt: 'document_idle'
+    }]);
+    
+    console.log('Registered content script for:', matches);
+  } catch (error) {
+    console.error('Error registering content script:', error);
+  }
+}
+
 /**
  * Open the visualizer tab
  */
-function openVisualizerTab(sendResponse) {
+async function openVisualizerTab(sendResponse) {
   console.log('Opening visualizer tab...');
   
+  const settings = await darnvizSettings.get();
+  
   // Open the visualizer tab
-  chrome.tabs.create({ url: 'http://localhost:3000/' }, function(tab) {
+  chrome.tabs.create({ url: settings.visualizerUrl }, function(tab) {
     if (chrome.runtime.lastError) {
       console.error('Error opening visualizer tab:', chrome.runtime.lastError);
       sendResponse({ success: false, error: chrome.runtime.lastError.message });
       return;
     }
     
+    // The tab subscribes to audio data itself once its content script connects
     console.log('Successfully opened visualizer tab with ID:', tab.id);
-    visualizerTabId = tab.id;
+    sendResponse({ success: true, tabId: tab.id });
+  });
+}
+
+/**
+ * Focus an already subscribed visualizer tab, or open a new one
+ */
+async function openOrFocusVisualizer() {
+  const tabId = visualizerPorts.keys().next().value;
+  
+  if (tabId === undefined) {
+    openVisualizerTab(response => {
+      console.log('Visualizer opened:', response);
+    });
+    return;
+  }
+  
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.error('Error focusing visualizer tab:', error);
+  }
+}
+
+/**
+ * Toggle fullscreen for a visualizer tab's window
+ * 
+ * Pages can only request fullscreen from a user gesture, which a keyboard
+ * shortcut handled here is not, so the window itself is made fullscreen and
+ * the web app is told the new state.
+ * @param {chrome.tabs.Tab} activeTab - Tab that was active when the command fired
+ */
+async function toggleVisualizerFullscreen(activeTab) {
+  // Prefer the visualizer being looked at, otherwise the first subscribed one
+  const tabId = activeTab && visualizerPorts.has(activeTab.id)
+    ? activeTab.id
+    : visualizerPorts.keys().next().value;
+  
+  if (tabId === undefined) {
+    console.log('No visualizer tab to make fullscreen');
+    return;
+  }
+  
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const visualizerWindow = await chrome.windows.get(tab.windowId);
+    const fullscreen = visualizerWindow.state !== 'fullscreen';
     
-    // Store the tab ID for reference
-    chrome.storage.local.set({ visualizerTabId: tab.id }, function() {
-      console.log('Stored visualizer tab ID:', tab.id);
-      
-      // If we aren't capturing yet, start demo capture
-      if (!isCapturing) {
-        console.log('Starting demo capture for new visualizer tab');
-        startDemoAudioCapture();
+    await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, {
+      state: fullscreen ? 'fullscreen' : 'normal',
+      focused: true
+    });
+    
+    postToVisualizer(tabId, { type: MESSAGE_TYPES.TOGGLE_FULLSCREEN, fullscreen });
+  } catch (error) {
+    console.error('Error toggling visualizer fullscreen:', error);
+  }
+}
+
+/**
+ * Start real audio capture of a tab through the offscreen document
+ * @param {number} tabId - Optional ID of tab to capture, defaults to active tab
+ * @param {Function} sendResponse - Callback for the startCapture message
+ * @param {string} reason - Optional reason code reported with the new status
+ */
+async function startTabCapture(tabId, sendResponse, reason = null) {
+  try {
+    const targetTabId = tabId || await getActiveTabId();
+    if (!targetTabId) {
+      sendResponse({ success: false, error: 'No tab available to capture' });
+      return;
+    }
+    
+    console.log('Starting tab audio capture for tab:', targetTabId);
+    
+    // Release any previous capture before taking a new stream
+    if (isCapturing) {
+      await stopAudioCapture(reason);
+    }
+    
+    const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId });
+    const { monitorVolume, monitorMuted } = await getMonitorSettings();
+    await ensureOffscreenDocument();
+    
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'startOffscreenCapture',
+      streamId,
+      sourceId: targetTabId,
+      gain: 1,
+      monitor: { volume: monitorVolume, muted: monitorMuted },
+      analyserConfig
+    });
+    
+    if (!response || !response.success) {
+      const error = response?.error || 'Offscreen capture failed to start';
+      console.error('Error starting tab capture:', error);
+      await closeOffscreenDocument();
+      sendResponse({ success: false, error });
+      return;
+    }
+    
+    demoMode = false;
+    isCapturing = true;
+    resumed = false;
+    captureSources = [{ tabId: targetTabId, gain: 1 }];
+    effectiveAnalyserConfig = response.analyserConfig;
+    await saveSession();
+    
+    sendResponse({ success: true, tabId: targetTabId, demoMode: false });
+    broadcastCaptureStatus(reason);
+    broadcastToVisualizers(getAnalyserConfigMessage());
+  } catch (error) {
+    console.error('Error starting tab capture:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Mix another tab into the running real capture, or start one
+ * 
+ * Like starting a capture, this only works for a tab the user invoked the
+ * extension on (activeTab), which for the popup is the tab it was opened on.
+ * @param {number} tabId - ID of tab to add
+ * @param {number} gain - Optional gain the tab is mixed with
+ * @param {Function} sendResponse - Callback for the addCaptureSource message
+ */
+async function addTabSource(tabId, gain = 1, sendResponse) {
+  // Without a real capture running there's nothing to mix into
+  if (!isCapturing || demoMode) {
+    startTabCapture(tabId, sendResponse);
+    return;
+  }
+  
+  if (captureSources.some(source => source.tabId === tabId)) {
+    sendResponse({ success: true, tabId, demoMode: false });
+    return;
+  }
+  
+  try {
+    console.log('Adding tab to capture mix:', tabId);
+    
+    const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'addOffscreenSource',
+      streamId,
+      sourceId: tabId,
+      gain
+    });
+    
+    if (!response || !response.success) {
+      const error = response?.error || 'Failed to add tab to capture';
+      console.error('Error adding capture source:', error);
+      sendResponse({ success: false, error });
+      return;
+    }
+    
+    captureSources = [...captureSources, { tabId, gain }];
+    await saveSession();
+    
+    sendResponse({ success: true, tabId, demoMode: false });
+    broadcastCaptureStatus();
+  } catch (error) {
+    console.error('Error adding capture source:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Remove a tab from the capture mix, stopping capture if it was the last one
+ * @param {number} tabId - ID of tab to remove
+ * @param {Function} sendResponse - Callback for the removeCaptureSource message
+ * @param {string} reason - Optional reason code reported with the new status
+ */
+async function removeTabSource(tabId, sendResponse, reason = null) {
+  const remaining = captureSources.filter(source => source.tabId !== tabId);
+  
+  if (remaining.length === captureSources.length) {
+    sendResponse({ success: false, error: 'Tab is not being captured' });
+    return;
+  }
+  
+  if (remaining.length === 0) {
+    await stopAudioCapture(reason);
+    sendResponse({ success: true });
+    return;
+  }
+  
+  try {
+    await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'removeOffscreenSource',
+      sourceId: tabId
+    });
+    
+    captureSources = remaining;
+    await saveSession();
+    
+    sendResponse({ success: true });
+    broadcastCaptureStatus(reason);
+  } catch (error) {
+    console.error('Error removing capture source:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Set the gain a captured tab is mixed with
+ * @param {number} tabId - ID of captured tab
+ * @param {number} gain - Linear gain, 1 leaves the tab unchanged
+ * @param {Function} sendResponse - Callback for the setSourceGain message
+ */
+async function setTabSourceGain(tabId, gain, sendResponse) {
+  if (!captureSources.some(source => source.tabId === tabId)) {
+    sendResponse({ success: false, error: 'Tab is not being captured' });
+    return;
+  }
+  
+  try {
+    await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'setOffscreenSourceGain',
+      sourceId: tabId,
+      gain
+    });
+    
+    captureSources = captureSources.map(source => (
+      source.tabId === tabId ? { tabId, gain } : source
+    ));
+    await saveSession();
+    
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error setting source gain:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Change the analyser settings requested by the web app and echo back the
+ * settings actually in use
+ * @param {Object} config - Object with optional fftSize, smoothing, minDecibels and maxDecibels
+ * @param {Function} sendResponse - Callback for the setAnalyserConfig message
+ */
+async function setAnalyserConfig(config, sendResponse) {
+  analyserConfig = { ...analyserConfig, ...config };
+  
+  try {
+    if (isCapturing && !demoMode) {
+      // The offscreen document validates the config against AnalyserNode's limits
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'setOffscreenAnalyserConfig',
+        analyserConfig
+      });
+      effectiveAnalyserConfig = response.analyserConfig;
+    } else if (isCapturing) {
+      effectiveAnalyserConfig = getDemoAnalyserConfig();
+    }
+    
+    await saveSession();
+    
+    if (effectiveAnalyserConfig) {
+      broadcastToVisualizers(getAnalyserConfigMessage());
+    }
+    sendResponse({ success: true, analyserConfig: effectiveAnalyserConfig });
+  } catch (error) {
+    console.error('Error setting analyser config:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Get the effective analyser settings of the synthetic demo frames, which
+ * have a fixed size and no extended channel data regardless of what the web
+ * app asks for
+ * @returns {Object} Analyser config
+ */
+function getDemoAnalyserConfig() {
+  return {
+    fftSize: DEMO_FRAME_FORMAT.fftSize,
+    smoothing: 0,
+    minDecibels: DEMO_FRAME_FORMAT.minDecibels,
+    maxDecibels: DEMO_FRAME_FORMAT.maxDecibels,
+    extended: false,
+    frequencyBinCount: DEMO_FRAME_FORMAT.fftSize / 2,
+    sampleRate: DEMO_FRAME_FORMAT.sampleRate
+  };
+}
+
+/**
+ * Build the analyser config message sent to visualizer tabs
+ * @returns {Object} DARNVIZ_ANALYSER_CONFIG message
+ */
+function getAnalyserConfigMessage() {
+  return {
+    type: MESSAGE_TYPES.ANALYSER_CONFIG,
+    ...effectiveAnalyserConfig
+  };
+}
+
+/**
+ * Change the monitor volume or mute state of the captured audio's playback
+ * @param {Object} monitor - Object with optional volume (0-1) and muted
+ * @param {Function} sendResponse - Callback for the setMonitor message
+ */
+async function setMonitor(monitor, sendResponse) {
+  try {
+    const changes = {};
+    if (typeof monitor.volume === 'number') {
+      changes.monitorVolume = Math.max(0, Math.min(1, monitor.volume));
+    }
+    if (typeof monitor.muted === 'boolean') {
+      changes.monitorMuted = monitor.muted;
+    }
+    pendingMonitor = { ...pendingMonitor, ...changes };
+    scheduleMonitorSave();
+    
+    // Apply live when a real capture is playing through the offscreen document
+    if (isCapturing && !demoMode) {
+      await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'setOffscreenMonitor',
+        monitor: { volume: changes.monitorVolume, muted: changes.monitorMuted }
+      });
+    }
+    
+    const statusMessage = await getMonitorStatusMessage();
+    broadcastToVisualizers(statusMessage);
+    sendResponse({ success: true, monitor: { volume: statusMessage.volume, muted: statusMessage.muted } });
+  } catch (error) {
+    console.error('Error setting monitor:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Get the monitor volume and mute state, including changes not saved yet
+ * @returns {Promise<Object>} Object with monitorVolume and monitorMuted
+ */
+async function getMonitorSettings() {
+  const { monitorVolume, monitorMuted } = await darnvizSettings.get();
+  return { monitorVolume, monitorMuted, ...pendingMonitor };
+}
+
+/**
+ * Save pending monitor changes once no more have arrived for MONITOR_SAVE_DELAY
+ */
+function scheduleMonitorSave() {
+  clearTimeout(monitorSaveTimer);
+  monitorSaveTimer = setTimeout(() => {
+    const changes = pendingMonitor;
+    monitorSaveTimer = null;
+    darnvizSettings.save(changes).then(() => {
+      // Keep changes made while saving for the next save
+      if (pendingMonitor === changes) {
+        pendingMonitor = null;
       }
-      
-      sendResponse({ success: true, tabId: tab.id });
+    }).catch((error) => {
+      console.error('Error saving monitor settings:', error);
     });
+  }, MONITOR_SAVE_DELAY);
+}
+
+/**
+ * Build the monitor status message sent to visualizer tabs
+ * @returns {Promise<Object>} DARNVIZ_MONITOR_STATUS message
+ */
+async function getMonitorStatusMessage() {
+  const { monitorVolume, monitorMuted } = await getMonitorSettings();
+  return {
+    type: MESSAGE_TYPES.MONITOR_STATUS,
+    volume: monitorVolume,
+    muted: monitorMuted
+  };
+}
+
+/**
+ * Apply the captured tab policy after the captured tab closed, navigated or was muted
+ * 
+ * With several tabs mixed, a closed tab just leaves the mix and other changes
+ * are ignored; the policy only applies to the last remaining tab.
+ * @param {number} tabId - ID of the captured tab
+ * @param {string} reason - Reason code: 'tab-closed', 'tab-navigated' or 'tab-muted'
+ */
+async function handleCapturedTabChange(tabId, reason) {
+  console.log(`Captured tab ${tabId} changed:`, reason);
+  
+  if (captureSources.length > 1) {
+    if (reason === 'tab-closed') {
+      removeTabSource(tabId, () => {}, reason);
+    }
+    return;
+  }
+  
+  const { capturedTabPolicy } = await darnvizSettings.get();
+  
+  // A closed tab can never become audible again, so pausing on it means stopping
+  if (capturedTabPolicy === 'stop' || (capturedTabPolicy === 'pause' && reason === 'tab-closed')) {
+    await stopAudioCapture(reason);
+    return;
+  }
+  
+  if (capturedTabPolicy === 'follow') {
+    const [nextTab] = (await chrome.tabs.query({ audible: true }))
+      .filter(tab => tab.id !== tabId && !visualizerPorts.has(tab.id));
+    
+    if (nextTab) {
+      await followTab(nextTab.id);
+      return;
+    }
+  }
+  
+  // Wait for this tab to play again, or with 'follow' for any tab to
+  await pauseCapture(capturedTabPolicy === 'pause' ? tabId : null, reason);
+}
+
+/**
+ * Pause capture until a tab becomes audible again
+ * @param {number|null} tabId - Tab to wait for, or null for any audible tab
+ * @param {string} reason - Reason code reported with the new status
+ * @param {number|null} followTabId - Optional audible tab the capture can move to
+ */
+async function pauseCapture(tabId, reason, followTabId = null) {
+  pauseState = { tabId, reason, followTabId };
+  await saveSession();
+  broadcastCaptureStatus(reason);
+}
+
+/**
+ * Resume a paused capture of the same tab
+ * @param {string} reason - Reason code reported with the new status
+ */
+async function resumeCapture(reason) {
+  pauseState = null;
+  await saveSession();
+  broadcastCaptureStatus(reason);
+}
+
+/**
+ * Offer to move the capture to another tab
+ * 
+ * Chrome only hands out a tab's stream once the user invoked the extension
+ * on that tab, so the capture pauses with 'follow-needs-click' until they
+ * open the popup or press the capture shortcut there.
+ * @param {number} tabId - ID of the tab to follow
+ */
+async function followTab(tabId) {
+  if (pauseState && pauseState.followTabId === tabId) return;
+  
+  console.log('Waiting for the extension to be invoked on tab to follow:', tabId);
+  await pauseCapture(null, 'follow-needs-click', tabId);
+}
+
+/**
+ * Check whether a tab is one of the captured tabs
+ * @param {number} tabId - Tab ID
+ * @returns {boolean} Whether the tab is captured
+ */
+function isCapturedTab(tabId) {
+  return captureSources.some(source => source.tabId === tabId);
+}
+
+/**
+ * Get the first (primary) captured tab
+ * @returns {number|null} Tab ID or null if no tab is captured
+ */
+function getCapturedTabId() {
+  return captureSources.length > 0 ? captureSources[0].tabId : null;
+}
+
+/**
+ * Get the ID of the active tab in the last focused window
+ * @returns {Promise<number|null>} Tab ID or null if there is no active tab
+ */
+async function getActiveTabId() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab ? tab.id : null;
+}
+
+/**
+ * Create the offscreen document unless one already exists
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  
+  if (contexts.length > 0) {
+    return;
+  }
+  
+  await chrome.offscreen.createDocument({
+    url: OFFSCREEN_DOCUMENT_PATH,
+    reasons: ['USER_MEDIA'],
+    justification: 'Analyse captured tab audio for the DarnViz visualizer'
   });
 }
 
+/**
+ * Stop the offscreen capture and close the document
+ */
+async function closeOffscreenDocument() {
+  try {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+    });
+    
+    if (contexts.length === 0) {
+      return;
+    }
+    
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'stopOffscreenCapture' });
+    await chrome.offscreen.closeDocument();
+  } catch (error) {
+    console.error('Error closing offscreen document:', error);
+  }
+}
+
 /**
  * Start demo audio capture with synthetic data
  */
-function startDemoAudioCapture(sendResponse) {
+async function startDemoAudioCapture(sendResponse) {
   console.log('Starting demo audio capture...');
   
+  // Release any real capture so its frames don't mix with demo data
+  await closeOffscreenDocument();
+  
   // Set status flags
   demoMode = true;
   isCapturing = true;
+  resumed = false;
+  captureSources = [];
+  effectiveAnalyserConfig = getDemoAnalyserConfig();
+  await saveSession();
   
   // Start sending audio data to the visualizer tab
   startAudioDataInterval();
@@ -124,6 +918,7 @@ function startDemoAudioCapture(sendResponse) {
   
   // Broadcast status change
   broadcastCaptureStatus();
+  broadcastToVisualizers(getAnalyserConfigMessage());
   
   return true;
 }
@@ -139,98 +934,99 @@ function startAudioDataInterval() {
   
   console.log('Starting synthetic audio data generation...');
   
+  // The default program of the shared signal generator, timed from now
+  const generator = darnvizSignals.createSignalGenerator();
+  const startTime = Date.now();
+  
   // Set interval to broadcast audio data every 50ms
   dataInterval = setInterval(() => {
     try {
-      if (isCapturing) {
-        // Get the visualizer tab ID from storage or use the stored variable
-        chrome.storage.local.get(['visualizerTabId'], function(result) {
-          const receiverTabId = result.visualizerTabId || visualizerTabId;
-          
-          if (receiverTabId) {
-            // Log the sending process occasionally
-            if (Date.now() % 3000 < 50) { // Every ~3 seconds
-              console.log(`Sending synthetic audio data to visualizer tab ${receiverTabId}`);
-            }
-            
-            // Create synthetic waveform data (time domain)
-            const now = Date.now() / 1000; // Convert to seconds
-            const frequency = 2; // 2 Hz
-            const amplitude = 50; // Amplitude of the wave
-            const baseValue = 128; // Center value (128 for unsigned 8-bit)
-            
-            // Create time domain data (sine wave)
-            const timeData = new Array(128);
-            for (let i = 0; i < timeData.length; i++) {
-              const t = i / timeData.length;
-              // Multiple sine waves at different frequencies for more interesting waveform
-              timeData[i] = Math.floor(
-                baseValue + 
-                amplitude * Math.sin(2 * Math.PI * (t * 1 + now * frequency)) +
-                amplitude/3 * Math.sin(2 * Math.PI * (t * 3 + now * frequency * 1.1)) +
-                amplitude/5 * Math.sin(2 * Math.PI * (t * 5 + now * frequency * 0.9))
-              );
-            }
-            
-            // Create frequency domain data (spectrum)
-            const frequencyData = new Array(64);
-            for (let i = 0; i < frequencyData.length; i++) {
-              // More bass-heavy spectrum (higher values for lower frequencies)
-              const bassFactor = Math.pow(1 - i/frequencyData.length, 2); // Higher for lower indices
-              
-              // Base spectrum shape (falloff from low to high frequencies)
-              let value = 200 * bassFactor;
-              
-              // Add some temporal variation based on time
-              const variation = Math.sin(now * 2 + i/10) * 20 * bassFactor;
-              value += variation;
-              
-              // Add some randomness
-              value += (Math.random() * 30 - 15) * bassFactor;
-              
-              // Ensure value is within valid range (0-255)
-              frequencyData[i] = Math.max(0, Math.min(255, Math.floor(value)));
-            }
-            
-            // Send to the visualizer tab
-            try {
-              chrome.tabs.sendMessage(receiverTabId, {
-                type: 'DARNVIZ_AUDIO_DATA',
-                frequencyData: frequencyData,
-                timeData: timeData,
-                timestamp: Date.now()
-              }, function(response) {
-                if (chrome.runtime.lastError) {
-                  console.log(`Error sending to visualizer tab ${receiverTabId}:`, chrome.runtime.lastError);
-                  
-                  // Check if the tab still exists
-                  chrome.tabs.get(receiverTabId, function() {
-                    if (chrome.runtime.lastError) {
-                      console.log('Visualizer tab no longer exists, stopping data transmission');
-                      stopAudioCapture();
-                    }
-                  });
-                }
-              });
-            } catch (err) {
-              console.log(`Error sending audio data to tab ${receiverTabId}:`, err);
-            }
-          } else {
-            console.log('No visualizer tab ID available, stopping data generation');
-            stopAudioCapture();
-          }
-        });
+      // Nothing to generate until a visualizer tab is connected
+      if (!isCapturing || visualizerPorts.size === 0) {
+        return;
+      }
+      
+      // Log the sending process occasionally
+      if (Date.now() % 3000 < 50) { // Every ~3 seconds
+        console.log(`Sending synthetic audio data to ${visualizerPorts.size} visualizer tab(s)`);
       }
+      
+      const now = Date.now();
+      const frame = generator.generateFrame((now - startTime) / 1000, DEMO_FRAME_FORMAT);
+      
+      // Ports serialize messages as JSON, so typed arrays are sent as arrays
+      sendAudioData({
+        frequencyData: Array.from(frame.frequencyData),
+        timeData: Array.from(frame.timeData),
+        timestamp: now
+      });
     } catch (error) {
       console.error('Error in audio data interval:', error);
     }
   }, 50); // 50ms = ~20fps
 }
 
+/**
+ * Send one audio frame to every subscribed visualizer tab
+ * @param {Object} frame - Frame with frequencyData, timeData, timestamp and optional
+ *   sourceLevels and channels
+ */
+function sendAudioData(frame) {
+  const message = {
+    type: MESSAGE_TYPES.AUDIO_DATA,
+    frequencyData: frame.frequencyData,
+    timeData: frame.timeData,
+    timestamp: frame.timestamp
+  };
+  
+  // Per-tab levels, keyed by tab ID, when several tabs are mixed
+  if (frame.sourceLevels) {
+    message.sourceLevels = frame.sourceLevels;
+  }
+  
+  // Float dB spectrum and waveform per channel, only in extended frames
+  if (frame.channels) {
+    message.channels = frame.channels;
+  }
+  
+  broadcastToVisualizers(message);
+}
+
+/**
+ * Post a message to every subscribed visualizer tab
+ * @param {Object} message - Message to post
+ */
+function broadcastToVisualizers(message) {
+  for (const tabId of Array.from(visualizerPorts.keys())) {
+    postToVisualizer(tabId, message);
+  }
+}
+
+/**
+ * Post a message to one visualizer tab, pruning it if its port is gone
+ * @param {number} tabId - Visualizer tab ID
+ * @param {Object} message - Message to post
+ */
+function postToVisualizer(tabId, message) {
+  const port = visualizerPorts.get(tabId);
+  if (!port) {
+    return;
+  }
+  
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    // The port was closed before onDisconnect fired
+    console.log(`Error posting to visualizer tab ${tabId}:`, error);
+    visualizerPorts.delete(tabId);
+  }
+}
+
 /**
  * Stop audio capture and clean up resources
+ * @param {string} reason - Optional reason code reported with the new status
  */
-function stopAudioCapture() {
+async function stopAudioCapture(reason = null) {
   console.log('Stopping audio capture...');
   
   // Stop audio data interval
@@ -239,31 +1035,192 @@ function stopAudioCapture() {
     dataInterval = null;
   }
   
+  // Release the tab capture stream held by the offscreen document
+  if (!demoMode) {
+    await closeOffscreenDocument();
+  }
+  
   // Reset flags
   isCapturing = false;
+  resumed = false;
+  pauseState = null;
+  captureSources = [];
+  effectiveAnalyserConfig = null;
+  await saveSession();
   
   // Send update to any connected web app
-  broadcastCaptureStatus();
+  broadcastCaptureStatus(reason);
   
   console.log('Audio capture stopped successfully');
 }
 
 /**
- * Broadcast capture status to connected tabs
+ * Build the capture status message sent to visualizer tabs
+ * @param {string} reason - Optional code saying why the status changed
+ * @returns {Object} DARNVIZ_CAPTURE_STATUS message
  */
-function broadcastCaptureStatus() {
-  if (visualizerTabId) {
-    try {
-      chrome.tabs.sendMessage(visualizerTabId, {
-        type: 'DARNVIZ_CAPTURE_STATUS',
-        isCapturing: isCapturing,
-        demoMode: demoMode
+function getCaptureStatusMessage(reason = null) {
+  return {
+    type: MESSAGE_TYPES.CAPTURE_STATUS,
+    isCapturing: isCapturing,
+    demoMode: demoMode,
+    tabId: getCapturedTabId(),
+    tabIds: captureSources.map(source => source.tabId),
+    paused: Boolean(pauseState),
+    reason: reason || (pauseState ? pauseState.reason : null),
+    resumed: resumed
+  };
+}
+
+/**
+ * Broadcast capture status to all subscribed visualizer tabs
+ * @param {string} reason - Optional code saying why the status changed
+ */
+function broadcastCaptureStatus(reason = null) {
+  broadcastToVisualizers(getCaptureStatusMessage(reason));
+  console.log(`Broadcast capture status to ${visualizerPorts.size} visualizer tab(s):`, { isCapturing, demoMode });
+}
+
+/**
+ * Persist the capture session so it survives the service worker being suspended
+ */
+async function saveSession() {
+  updateKeepAlive();
+  updateBadge();
+  
+  try {
+    await chrome.storage.session.set({
+      [SESSION_STORAGE_KEY]: {
+        isCapturing,
+        demoMode,
+        captureSources,
+        pauseState,
+        analyserConfig,
+        effectiveAnalyserConfig
+      }
+    });
+  } catch (error) {
+    console.error('Error saving capture session:', error);
+  }
+}
+
+/**
+ * Restore a capture session persisted before the service worker was suspended
+ */
+async function restoreSession() {
+  try {
+    const result = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+    const session = result[SESSION_STORAGE_KEY];
+    
+    if (!session || !session.isCapturing) {
+      return;
+    }
+    
+    // A real capture only survives if the offscreen document still holds the stream
+    if (!session.demoMode) {
+      const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
       });
-      console.log('Broadcast capture status to visualizer tab:', { isCapturing, demoMode });
-    } catch (error) {
-      console.error('Error sending capture status to visualizer tab:', error);
+      
+      if (contexts.length === 0) {
+        console.log('Offscreen document is gone, discarding capture session');
+        await chrome.storage.session.remove(SESSION_STORAGE_KEY);
+        return;
+      }
     }
+    
+    demoMode = session.demoMode;
+    captureSources = session.captureSources || [];
+    pauseState = session.pauseState || null;
+    analyserConfig = session.analyserConfig || {};
+    effectiveAnalyserConfig = session.effectiveAnalyserConfig || null;
+    isCapturing = true;
+    resumed = true;
+    updateKeepAlive();
+    updateBadge();
+    
+    if (demoMode) {
+      startAudioDataInterval();
+    }
+    
+    console.log('Capture session resumed:', session);
+  } catch (error) {
+    console.error('Error restoring capture session:', error);
+  }
+}
+
+/**
+ * Keep the service worker awake while capturing, and let it sleep otherwise
+ * 
+ * Any extension API call resets the worker's idle timer, so a cheap call on
+ * an interval is enough to keep the stream flowing.
+ */
+function updateKeepAlive() {
+  if (isCapturing && !keepAliveInterval) {
+    keepAliveInterval = setInterval(() => chrome.runtime.getPlatformInfo(), KEEP_ALIVE_INTERVAL);
+  } else if (!isCapturing && keepAliveInterval) {
+    clearInterval(keepAliveInterval);
+    keepAliveInterval = null;
+  }
+}
+
+/**
+ * Show the capture state on the toolbar badge: nothing when off, "||" when
+ * paused, "DEMO" in demo mode and a level meter while capturing a tab
+ */
+function updateBadge() {
+  badgeLevel = null;
+  
+  if (!isCapturing) {
+    chrome.action.setBadgeText({ text: '' });
+  } else if (pauseState) {
+    chrome.action.setBadgeBackgroundColor({ color: '#888888' });
+    chrome.action.setBadgeText({ text: '||' });
+  } else if (demoMode) {
+    chrome.action.setBadgeBackgroundColor({ color: '#FFCC00' });
+    chrome.action.setBadgeText({ text: 'DEMO' });
+  } else {
+    chrome.action.setBadgeBackgroundColor({ color: '#52c41a' });
+    setBadgeLevel(0);
+  }
+}
+
+/**
+ * Update the live badge meter from a time domain frame, throttled
+ * @param {number[]} timeData - Unsigned 8-bit time domain samples
+ */
+function updateBadgeLevel(timeData) {
+  const now = Date.now();
+  if (!timeData || timeData.length === 0 || now - lastBadgeUpdate < BADGE_UPDATE_INTERVAL) {
+    return;
+  }
+  lastBadgeUpdate = now;
+  
+  let sum = 0;
+  for (let i = 0; i < timeData.length; i++) {
+    const value = (timeData[i] - 128) / 128; // Convert to -1 to 1 range
+    sum += value * value;
+  }
+  const volume = Math.min(1, Math.sqrt(sum / timeData.length) * 4); // Same scale as the web app
+  
+  setBadgeLevel(Math.min(BADGE_LEVELS.length - 1, Math.floor(volume * BADGE_LEVELS.length)));
+}
+
+/**
+ * Show a coarse level on the badge if it changed
+ * @param {number} level - Index into BADGE_LEVELS
+ */
+function setBadgeLevel(level) {
+  if (level === badgeLevel) {
+    return;
   }
+  
+  badgeLevel = level;
+  chrome.action.setBadgeText({ text: BADGE_LEVELS[level] });
 }
 
-console.log('DarnViz background script loaded (Phase 2) - Demo mode enabled');
+// Restore any session that was active before the worker was last suspended
+const sessionRestored = restoreSession();
+
+console.log('DarnViz background script loaded (Phase 2)');
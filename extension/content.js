@@ -5,143 +5,327 @@
  * communication between the extension and the web app.
  */
 
+// settings.js and protocol.js are injected before this script and share its
+// global scope, so names they declare (such as CAPABILITIES) can't be redeclared
+const { MESSAGE_TYPES } = darnvizProtocol;
+
+// Features this build of the extension offers the web app
+const EXTENSION_CAPABILITIES = [
+  darnvizProtocol.CAPABILITIES.TAB_CAPTURE,
+  darnvizProtocol.CAPABILITIES.DEMO,
+  darnvizProtocol.CAPABILITIES.MULTI_SOURCE,
+  darnvizProtocol.CAPABILITIES.MONITOR,
+  darnvizProtocol.CAPABILITIES.ANALYSER_CONFIG,
+  darnvizProtocol.CAPABILITIES.STEREO,
+  darnvizProtocol.CAPABILITIES.FLOAT_DATA,
+  darnvizProtocol.CAPABILITIES.HEARTBEAT,
+  darnvizProtocol.CAPABILITIES.LATENCY
+];
+
+// Name of the long-lived port the background script streams frames over
+const VISUALIZER_PORT_NAME = 'darnviz-visualizer';
+
+// Delay before reconnecting after the background service worker restarts
+const PORT_RECONNECT_DELAY = 1000;
+
+// Origin of this page; the handshake is only accepted from and sent to it
+const PAGE_ORIGIN = window.location.origin;
+
 // Store connected status
 let isConnected = false;
 let isCapturing = false;
 let isVisualizerTab = false;
+let port = null;
+let channelPort = null; // Our end of the MessageChannel handed to the web app
+
+// Only bridge on origins the user configured as visualizers, even if the
+// script was registered for more (e.g. before the settings changed)
+const isVisualizerOrigin = darnvizSettings.get()
+  .then(settings => darnvizSettings.getVisualizerOrigins(settings).includes(PAGE_ORIGIN))
+  .catch(() => false);
 
 console.log('DarnViz content script loaded');
 
-// Listen for messages from the web page (web app)
-window.addEventListener('message', (event) => {
-  // Make sure message is from the same window
-  if (event.source !== window) return;
+// Listen for the web app's ready signal, the only message accepted on window
+window.addEventListener('message', async (event) => {
+  // Frames and other windows can't start the handshake
+  if (event.source !== window || event.origin !== PAGE_ORIGIN) return;
   
   const data = event.data;
+  if (!data || data.type !== MESSAGE_TYPES.WEBAPP_READY) return;
   
-  // Handle messages from the web app
-  if (data && data.type) {
-    // Log non-data messages
-    if (data.type !== 'DARNVIZ_AUDIO_DATA' && data.type !== 'AUDIO_DATA_UPDATE') {
-      console.log('Content script received message from web app:', data.type);
-    }
-    
-    switch (data.type) {
-      case 'DARNVIZ_WEBAPP_READY':
-        // Web app is ready, inform it that extension is installed
-        console.log('Web app is ready, sending connection message');
-        sendToWebpage({
-          type: 'DARNVIZ_EXTENSION_CONNECTED',
-          version: chrome.runtime.getManifest().version
-        });
-        
-        isConnected = true;
-        isVisualizerTab = true;
-        
-        // Inform background script that this tab is ready for data
-        chrome.runtime.sendMessage({ 
-          action: 'webAppReadyForData'
-        }, function(response) {
-          console.log('Background response to webAppReadyForData:', response);
-          
-          // Tell the web app we acknowledged its ready signal
-          sendToWebpage({
-            type: 'DARNVIZ_READY_ACKNOWLEDGED'
-          });
-        });
-        break;
-        
-      case 'DARNVIZ_READY_FOR_DATA':
-        // Web app is ready to receive audio data
-        console.log('Web app is ready to receive audio data');
-        isVisualizerTab = true;
-        
-        chrome.runtime.sendMessage({ 
-          action: 'webAppReadyForData'
-        }, function(response) {
-          console.log('Background response to ready for data:', response);
-          // Send status update to web page
-          if (response && response.success) {
-            sendToWebpage({
-              type: 'DARNVIZ_READY_ACKNOWLEDGED'
-            });
-          }
-        });
-        break;
-        
-      case 'DARNVIZ_STOP_CAPTURE':
-        // Web app is requesting to stop capture
-        chrome.runtime.sendMessage({ action: 'stopCapture' }, (response) => {
-          if (response && response.success) {
-            isCapturing = false;
-            sendToWebpage({
-              type: 'DARNVIZ_CAPTURE_STATUS',
-              isCapturing: false
-            });
-          } else {
-            sendToWebpage({
-              type: 'DARNVIZ_CAPTURE_ERROR',
-              error: response?.error || 'Failed to stop capture'
-            });
-          }
-        });
-        break;
-    }
+  const validation = darnvizProtocol.validate(data);
+  if (!validation.valid) {
+    console.warn('Ignoring invalid message from web app:', validation.error);
+    return;
+  }
+  
+  if (!(await isVisualizerOrigin)) {
+    console.warn(`Ignoring web app ready signal: ${PAGE_ORIGIN} is not a configured visualizer origin`);
+    return;
   }
+  
+  handleWebAppReady(data);
 });
 
-// Listen for messages from background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Handle messages from background script
-  if (message.type === 'DARNVIZ_CAPTURE_STATUS') {
-    console.log('Received capture status from background:', message);
-    isCapturing = message.isCapturing;
-    
-    // Forward to web app
-    sendToWebpage(message);
+/**
+ * Answer the web app's ready signal and hand it a channel
+ * @param {Object} data - DARNVIZ_WEBAPP_READY message
+ */
+function handleWebAppReady(data) {
+  // Once the extension is reloaded this script is orphaned and can't reach it anymore
+  if (!chrome.runtime?.id) {
+    console.warn('Extension was reloaded, ignoring web app ready signal');
+    return;
+  }
+  
+  // Keep the channel the web app already holds; another ready signal while
+  // it is open may come from a different script on the page trying to take
+  // it over. The web app closes its channel before announcing itself again
+  if (channelPort) {
+    console.warn('Ignoring web app ready signal: a channel is already open');
+    return;
   }
   
-  // Handle audio data from background script
-  if (message.type === 'DARNVIZ_AUDIO_DATA') {
-    // Log occasionally to avoid console spam
-    if (Date.now() % 3000 < 50) { // Every ~3 seconds
-      console.log('Received audio data from background script');
+  console.log(`Web app is ready (protocol ${data.protocolVersion || 1}), sending connection message`);
+  
+  if (!darnvizProtocol.isCompatibleVersion(data.protocolVersion)) {
+    // Tell it our version so it can explain the mismatch, but open no channel
+    console.warn('Web app protocol version is not supported, not streaming audio data');
+    window.postMessage(getConnectedMessage(), PAGE_ORIGIN);
+    return;
+  }
+  
+  const channel = new MessageChannel();
+  const ownPort = channel.port1;
+  channelPort = ownPort;
+  channelPort.onmessage = handleChannelMessage;
+  // Fired where supported when the web app's end is closed or its document goes away
+  channelPort.addEventListener('close', () => {
+    if (channelPort === ownPort) closeChannel();
+  });
+  window.postMessage(getConnectedMessage(), PAGE_ORIGIN, [channel.port2]);
+  
+  isConnected = true;
+  isVisualizerTab = true;
+  
+  // Subscribe this tab to audio data from the background script
+  connectPort();
+}
+
+/**
+ * Handle messages the web app sends through the channel
+ * @param {MessageEvent} event - Message event from our end of the channel
+ */
+function handleChannelMessage(event) {
+  const data = event.data;
+  
+  if (!data || darnvizProtocol.getSender(data.type) !== 'webapp') {
+    console.warn('Ignoring unexpected message from web app:', data && data.type);
+    return;
+  }
+  
+  const validation = darnvizProtocol.validate(data);
+  if (!validation.valid) {
+    console.warn('Ignoring invalid message from web app:', validation.error);
+    return;
+  }
+  
+  // Heartbeats and pings are frequent, answer them without logging
+  if (data.type === MESSAGE_TYPES.HEARTBEAT) {
+    // Only while the background script is reachable, so the web app notices a reload
+    if (port && chrome.runtime?.id) {
+      sendToWebpage({ type: MESSAGE_TYPES.HEARTBEAT_ACK });
     }
-    
-    // Forward to web app
-    sendToWebpage(message);
-    
-    // If we're not formally connected, try to establish connection
-    if (!isConnected) {
-      isConnected = true;
+    return;
+  }
+  
+  // Latency pings are answered by the background script, which relays every
+  // frame, so the round trip covers the same hops as a frame
+  if (data.type === MESSAGE_TYPES.PING) {
+    chrome.runtime.sendMessage({ action: 'ping' }, (response) => {
+      if (response) {
+        sendToWebpage({
+          type: MESSAGE_TYPES.PONG,
+          id: data.id,
+          sentAt: data.sentAt,
+          extensionTime: response.extensionTime
+        });
+      }
+    });
+    return;
+  }
+  
+  console.log('Content script received message from web app:', data.type);
+  
+  switch (data.type) {
+    case MESSAGE_TYPES.READY_FOR_DATA:
+      // Web app is ready to receive audio data
+      console.log('Web app is ready to receive audio data');
       isVisualizerTab = true;
-      console.log('Auto-establishing connection to forward audio data');
+      
+      connectPort();
       sendToWebpage({
-        type: 'DARNVIZ_EXTENSION_CONNECTED',
-        version: chrome.runtime.getManifest().version
+        type: MESSAGE_TYPES.READY_ACKNOWLEDGED
       });
-    }
+      break;
+      
+    case MESSAGE_TYPES.SET_MONITOR:
+      // Web app is changing playback volume or mute of the captured audio
+      chrome.runtime.sendMessage({
+        action: 'setMonitor',
+        volume: data.volume,
+        muted: data.muted
+      }, (response) => {
+        if (!response || !response.success) {
+          sendToWebpage({
+            type: MESSAGE_TYPES.CAPTURE_ERROR,
+            error: response?.error || 'Failed to set monitor'
+          });
+        }
+      });
+      break;
+
+    case MESSAGE_TYPES.SET_ANALYSER_CONFIG:
+      // Web app is changing FFT size, smoothing or decibel range
+      chrome.runtime.sendMessage({
+        action: 'setAnalyserConfig',
+        config: data.config
+      }, (response) => {
+        if (!response || !response.success) {
+          sendToWebpage({
+            type: MESSAGE_TYPES.CAPTURE_ERROR,
+            error: response?.error || 'Failed to set analyser config'
+          });
+        }
+      });
+      break;
+
+    case MESSAGE_TYPES.CLOSE_CHANNEL:
+      // The web app gives up this channel and will announce itself again
+      closeChannel();
+      break;
+      
+    case MESSAGE_TYPES.STOP_CAPTURE:
+      // Web app is requesting to stop capture
+      chrome.runtime.sendMessage({ action: 'stopCapture' }, (response) => {
+        if (response && response.success) {
+          isCapturing = false;
+          sendToWebpage({
+            type: MESSAGE_TYPES.CAPTURE_STATUS,
+            isCapturing: false
+          });
+        } else {
+          sendToWebpage({
+            type: MESSAGE_TYPES.CAPTURE_ERROR,
+            error: response?.error || 'Failed to stop capture'
+          });
+        }
+      });
+      break;
+  }
+}
+
+/**
+ * Close the channel to the web app so its next ready signal opens a new one
+ */
+function closeChannel() {
+  if (!channelPort) return;
+  
+  console.log('Channel to web app closed');
+  channelPort.close();
+  channelPort = null;
+}
+
+/**
+ * Open the long-lived port to the background script if it isn't open yet
+ * @returns {chrome.runtime.Port} The connected port
+ */
+function connectPort() {
+  if (port) return port;
+  
+  port = chrome.runtime.connect({ name: VISUALIZER_PORT_NAME });
+  port.onMessage.addListener(handlePortMessage);
+  port.onDisconnect.addListener(handlePortDisconnect);
+  
+  console.log('Connected visualizer port to background script');
+  return port;
+}
+
+/**
+ * Handle messages streamed from the background script over the port
+ */
+function handlePortMessage(message) {
+  const validation = darnvizProtocol.validate(message);
+  if (!validation.valid) {
+    console.warn('Dropping invalid message from background script:', validation.error);
+    return;
   }
   
-  // Send a response if requested
-  if (sendResponse) {
-    sendResponse({ received: true });
+  if (message.type === MESSAGE_TYPES.CAPTURE_STATUS) {
+    console.log('Received capture status from background:', message);
+    isCapturing = message.isCapturing;
   }
   
-  return true; // Keep the message channel open for async responses
-});
+  // Forward status and audio data to web app
+  sendToWebpage(message);
+}
 
-// Helper function to send messages to the webpage
+/**
+ * Handle the background script closing the port
+ * 
+ * This happens when the service worker is restarted or the extension is
+ * reloaded. The web app is told right away so it stops showing a live stream.
+ */
+function handlePortDisconnect() {
+  console.log('Visualizer port disconnected');
+  port = null;
+  isConnected = false;
+  isCapturing = false;
+  
+  sendToWebpage({
+    type: MESSAGE_TYPES.EXTENSION_DISCONNECTED
+  });
+  
+  // A reloaded extension leaves this script orphaned; only reconnect while it is still valid
+  if (isVisualizerTab && chrome.runtime?.id) {
+    setTimeout(() => {
+      connectPort();
+      isConnected = true;
+      sendToWebpage(getConnectedMessage());
+    }, PORT_RECONNECT_DELAY);
+  }
+}
+
+/**
+ * Build the answer to the web app's ready signal with the extension and
+ * protocol versions and the capabilities this build supports
+ * @returns {Object} DARNVIZ_EXTENSION_CONNECTED message
+ */
+function getConnectedMessage() {
+  return {
+    type: MESSAGE_TYPES.EXTENSION_CONNECTED,
+    version: chrome.runtime.getManifest().version,
+    protocolVersion: darnvizProtocol.PROTOCOL_VERSION,
+    capabilities: EXTENSION_CAPABILITIES
+  };
+}
+
+// Helper function to send messages to the webpage through the channel
 function sendToWebpage(message) {
-  window.postMessage(message, '*');
+  if (channelPort) {
+    channelPort.postMessage(message);
+  }
 }
 
 // Let the webpage know that the extension is loaded on this page
-setTimeout(() => {
-  sendToWebpage({
-    type: 'DARNVIZ_EXTENSION_LOADED',
+setTimeout(async () => {
+  if (!(await isVisualizerOrigin)) return;
+  
+  window.postMessage({
+    type: MESSAGE_TYPES.EXTENSION_LOADED,
     version: chrome.runtime.getManifest().version
-  });
+  }, PAGE_ORIGIN);
   
   console.log('DarnViz extension content script loaded (Phase 2)');
 }, 500);
@@ -0,0 +1,168 @@
+/**
+ * DarnViz Offscreen Document
+ *
+ * MV3 service workers have no access to getUserMedia or the Web Audio API,
+ * so the background script hands the tab capture stream ID to this document.
+ * It opens the stream, runs it through AudioCapture's analyser and sends the
+ * resulting frames back to the background script.
+ */
+
+// Interval between analyser frames sent to the background script (~20fps)
+const FRAME_INTERVAL = 50;
+
+// Listen for commands from the background script
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Ignore messages meant for the background script or popup
+  if (!message || message.target !== 'offscreen') return false;
+  
+  if (message.action === 'startOffscreenCapture') {
+    if (message.monitor) {
+      applyMonitor(message.monitor);
+    }
+    if (message.analyserConfig) {
+      window.audioCapture.setAnalyserConfig(message.analyserConfig);
+    }
+    startOffscreenCapture(message.streamId, message.sourceId, message.gain)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  else if (message.action === 'addOffscreenSource') {
+    addOffscreenSource(message.streamId, message.sourceId, message.gain)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  else if (message.action === 'removeOffscreenSource') {
+    const removed = window.audioCapture.removeSource(message.sourceId);
+    sendResponse({ success: removed });
+    return false;
+  }
+  else if (message.action === 'setOffscreenSourceGain') {
+    const updated = window.audioCapture.setSourceGain(message.sourceId, message.gain);
+    sendResponse({ success: updated });
+    return false;
+  }
+  else if (message.action === 'setOffscreenAnalyserConfig') {
+    const analyserConfig = window.audioCapture.setAnalyserConfig(message.analyserConfig);
+    sendResponse({ success: true, analyserConfig });
+    return false;
+  }
+  else if (message.action === 'setOffscreenMonitor') {
+    applyMonitor(message.monitor);
+    sendResponse({ success: true, monitor: window.audioCapture.getMonitorState() });
+    return false;
+  }
+  else if (message.action === 'stopOffscreenCapture') {
+    window.audioCapture.stopCapture().then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  return false;
+});
+
+/**
+ * Open the tab capture stream and start streaming analyser frames
+ * @param {string} streamId - Media stream ID from chrome.tabCapture.getMediaStreamId
+ * @param {number} sourceId - ID of the captured tab
+ * @param {number} gain - Gain the tab is mixed with
+ * @returns {Promise<Object>} Response with success flag and optional error
+ */
+async function startOffscreenCapture(streamId, sourceId, gain = 1) {
+  if (!streamId) {
+    return { success: false, error: 'No stream ID provided' };
+  }
+  
+  const stream = await openTabStream(streamId);
+  
+  if (!window.audioCapture.startCapture(stream, sourceId, gain)) {
+    return { success: false, error: window.audioCapture.getLastError() };
+  }
+  
+  window.audioCapture.startDataStream(sendAudioFrame, FRAME_INTERVAL);
+  
+  console.log('Offscreen audio capture started');
+  return { success: true, analyserConfig: window.audioCapture.getAnalyserConfig() };
+}
+
+/**
+ * Mix another tab's stream into the running capture
+ * @param {string} streamId - Media stream ID from chrome.tabCapture.getMediaStreamId
+ * @param {number} sourceId - ID of the captured tab
+ * @param {number} gain - Gain the tab is mixed with
+ * @returns {Promise<Object>} Response with success flag and optional error
+ */
+async function addOffscreenSource(streamId, sourceId, gain = 1) {
+  if (!streamId) {
+    return { success: false, error: 'No stream ID provided' };
+  }
+  
+  const stream = await openTabStream(streamId);
+  
+  if (!window.audioCapture.addSource(sourceId, stream, gain)) {
+    stream.getTracks().forEach(track => track.stop());
+    return { success: false, error: window.audioCapture.getLastError() };
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Apply monitor (passthrough playback) settings to the capture
+ * @param {Object} monitor - Object with optional volume and muted
+ */
+function applyMonitor(monitor) {
+  if (typeof monitor.volume === 'number') {
+    window.audioCapture.setMonitorVolume(monitor.volume);
+  }
+  if (typeof monitor.muted === 'boolean') {
+    window.audioCapture.setMonitorMuted(monitor.muted);
+  }
+}
+
+/**
+ * Open the media stream for a tab capture stream ID
+ * @param {string} streamId - Media stream ID from chrome.tabCapture.getMediaStreamId
+ * @returns {Promise<MediaStream>} The tab's audio stream
+ */
+function openTabStream(streamId) {
+  return navigator.mediaDevices.getUserMedia({
+    audio: {
+      mandatory: {
+        chromeMediaSource: 'tab',
+        chromeMediaSourceId: streamId
+      }
+    },
+    video: false
+  });
+}
+
+/**
+ * Forward one analyser frame to the background script
+ * @param {Object} data - Frame with frequencyData, timeData, sourceLevels,
+ *   timestamp and, for extended frames, channels
+ */
+function sendAudioFrame(data) {
+  // Typed arrays don't survive extension messaging, so send plain arrays
+  const message = {
+    action: 'offscreenAudioData',
+    frequencyData: Array.from(data.frequencyData),
+    timeData: Array.from(data.timeData),
+    sourceLevels: data.sourceLevels,
+    timestamp: data.timestamp
+  };
+  
+  if (data.channels) {
+    message.channels = {};
+    Object.keys(data.channels).forEach(name => {
+      message.channels[name] = {
+        frequencyData: Array.from(data.channels[name].frequencyData),
+        timeData: Array.from(data.channels[name].timeData)
+      };
+    });
+  }
+  
+  chrome.runtime.sendMessage(message);
+}
+
+console.log('DarnViz offscreen document loaded');
@@ -0,0 +1,91 @@
+/**
+ * DarnViz Extension Options Page
+ * Lets users set the visualizer URL, the origins the content script runs on
+ * and what happens when the captured tab goes away
+ */
+document.addEventListener('DOMContentLoaded', function() {
+  // UI Elements
+  const visualizerUrlInput = document.getElementById('visualizerUrl');
+  const originList = document.getElementById('originList');
+  const newOriginInput = document.getElementById('newOrigin');
+  const capturedTabPolicySelect = document.getElementById('capturedTabPolicy');
+  const addOriginButton = document.getElementById('addOrigin');
+  const saveButton = document.getElementById('save');
+  const statusText = document.getElementById('status');
+  
+  let allowedOrigins = [];
+  
+  // Load saved settings
+  darnvizSettings.get().then(settings => {
+    visualizerUrlInput.value = settings.visualizerUrl;
+    allowedOrigins = settings.allowedOrigins.slice();
+    capturedTabPolicySelect.value = settings.capturedTabPolicy;
+    renderOrigins();
+  });
+  
+  // Add origin button click handler
+  addOriginButton.addEventListener('click', function() {
+    const origin = darnvizSettings.normalizeOrigin(newOriginInput.value);
+    
+    if (!origin) {
+      showStatus('Enter a valid http:// or https:// origin', true);
+      return;
+    }
+    
+    if (!allowedOrigins.includes(origin)) {
+      allowedOrigins.push(origin);
+      renderOrigins();
+    }
+    
+    newOriginInput.value = '';
+    showStatus('');
+  });
+  
+  // Save button click handler
+  saveButton.addEventListener('click', async function() {
+    const visualizerUrl = visualizerUrlInput.value.trim();
+    
+    if (!darnvizSettings.normalizeOrigin(visualizerUrl)) {
+      showStatus('Enter a valid http:// or https:// visualizer URL', true);
+      return;
+    }
+    
+    try {
+      await darnvizSettings.save({
+        visualizerUrl,
+        allowedOrigins,
+        capturedTabPolicy: capturedTabPolicySelect.value
+      });
+      showStatus('Settings saved. Reload open visualizer tabs to apply them.');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      showStatus(`Error: ${error.message}`, true);
+    }
+  });
+  
+  // Helper function to render the allowed origin list
+  function renderOrigins() {
+    originList.textContent = '';
+    
+    allowedOrigins.forEach(origin => {
+      const item = document.createElement('li');
+      item.textContent = origin;
+      
+      const removeButton = document.createElement('button');
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', function() {
+        allowedOrigins = allowedOrigins.filter(value => value !== origin);
+        renderOrigins();
+      });
+      
+      item.appendChild(removeButton);
+      originList.appendChild(item);
+    });
+  }
+  
+  // Helper function to show a status message
+  function showStatus(message, isError = false) {
+    statusText.textContent = message;
+    statusText.className = isError ? 'status error' : 'status success';
+  }
+});
@@ -10,48 +10,23 @@ document.addEventListener('DOMContentLoaded', function() {
   const statusText = document.getElementById('statusText');
   const openVisualizerLink = document.getElementById('openVisualizer');
   const capturedTabInfo = document.getElementById('capturedTabInfo');
+  const demoModeToggle = document.getElementById('demoModeToggle');
+  const openOptionsLink = document.getElementById('openOptions');
+  const audibleTabList = document.getElementById('audibleTabList');
+  const noAudibleTabs = document.getElementById('noAudibleTabs');
+  const captureSourceList = document.getElementById('captureSourceList');
+  const monitorVolumeSlider = document.getElementById('monitorVolume');
+  const monitorMutedToggle = document.getElementById('monitorMuted');
   
-  // Configuration
-  const VISUALIZER_URL = 'http://localhost:3000'; // Change to actual URL when deployed
   let isCapturing = false;
   
   // Initialize UI
   initializeUI();
   
-  // Listen for status updates from background script
-  chrome.runtime.onMessage.addListener((message) => {
-    if (message.type === 'CAPTURE_STATUS_CHANGED') {
-      updateUI(message.isCapturing);
-    }
-  });
-  
   // Start capture button click handler
-  startCaptureButton.addEventListener('click', async function() {
-    startCaptureButton.disabled = true;
-    statusText.textContent = 'Starting capture...';
+  startCaptureButton.addEventListener('click', function() {
     console.log('Start Capture button clicked');
-    
-    try {
-      const response = await sendMessage({ action: 'startCapture' });
-      
-      if (response && response.success) {
-        updateUI(true);
-        isCapturing = true;
-        console.log('Capture started successfully', response);
-      } else {
-        // Handle error
-        const errorMsg = response?.error || 'Unknown error';
-        statusText.textContent = `Failed: ${errorMsg}`;
-        statusText.className = 'status-value error';
-        startCaptureButton.disabled = false;
-        console.error('Failed to start capture:', errorMsg);
-      }
-    } catch (error) {
-      console.error('Error starting capture:', error);
-      statusText.textContent = `Error: ${error.message}`;
-      statusText.className = 'status-value error';
-      startCaptureButton.disabled = false;
-    }
+    startCapture(null, demoModeToggle.checked);
   });
   
   // Stop capture button click handler
@@ -63,6 +38,8 @@ document.addEventListener('DOMContentLoaded', function() {
       if (response && response.success) {
         updateUI(false);
         isCapturing = false;
+        showCapturedTab(null);
+        renderCaptureSources([]);
         console.log('Capture stopped successfully');
       }
     } catch (error) {
@@ -97,10 +74,6 @@ document.addEventListener('DOMContentLoaded', function() {
       // Update message to show success
       if (response && response.success) {
         demoMessage.textContent = 'Visualizer opened successfully!';
-        
-        // Update UI to reflect that we're now capturing
-        updateUI(true);
-        isCapturing = true;
       } else {
         demoMessage.textContent = 'Error: ' + (response?.error || 'Failed to open visualizer');
         demoMessage.style.backgroundColor = 'rgba(255, 0, 0, 0.2)';
@@ -109,15 +82,249 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
+  // Monitor volume and mute control playback of the captured audio
+  monitorVolumeSlider.addEventListener('input', function() {
+    sendMessage({ action: 'setMonitor', volume: Number(monitorVolumeSlider.value) / 100 });
+  });
+  
+  monitorMutedToggle.addEventListener('change', function() {
+    sendMessage({ action: 'setMonitor', muted: monitorMutedToggle.checked });
+  });
+  
+  // Open the options page to configure the visualizer URL and origins
+  openOptionsLink.addEventListener('click', function(e) {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
+  // Helper function to start capture of a tab, or the active tab if none is given
+  async function startCapture(tabId, demoMode = false) {
+    startCaptureButton.disabled = true;
+    statusText.textContent = 'Starting capture...';
+    statusText.className = '';
+    
+    try {
+      const response = await sendMessage({
+        action: 'startCapture',
+        tabId: tabId,
+        demoMode: demoMode
+      });
+      
+      if (response && response.success) {
+        updateUI(true, response.demoMode);
+        isCapturing = true;
+        refreshCaptureSources();
+        console.log('Capture started successfully', response);
+      } else {
+        // Handle error
+        const errorMsg = response?.error || 'Unknown error';
+        statusText.textContent = `Failed: ${errorMsg}`;
+        statusText.className = 'status-value error';
+        startCaptureButton.disabled = false;
+        console.error('Failed to start capture:', errorMsg);
+      }
+    } catch (error) {
+      console.error('Error starting capture:', error);
+      statusText.textContent = `Error: ${error.message}`;
+      statusText.className = 'status-value error';
+      startCaptureButton.disabled = false;
+    }
+  }
+  
+  // Helper function to list tabs that are currently playing audio. Chrome
+  // only lets us capture the tab the popup was opened on, so other tabs get
+  // a button that switches to them instead
+  async function loadAudibleTabs() {
+    try {
+      const tabs = await browserAPI.tabs.query({ audible: true });
+      const [currentTab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+      
+      audibleTabList.textContent = '';
+      noAudibleTabs.style.display = tabs.length === 0 ? 'block' : 'none';
+      
+      tabs.forEach(tab => {
+        const item = document.createElement('li');
+        
+        const favicon = document.createElement('img');
+        favicon.className = 'tab-favicon';
+        favicon.src = tab.favIconUrl || 'icons/icon16.png';
+        favicon.alt = '';
+        
+        const title = document.createElement('span');
+        title.className = 'tab-title';
+        title.textContent = tab.title || tab.url;
+        title.title = tab.title || tab.url;
+        
+        const captureButton = document.createElement('button');
+        captureButton.className = 'tab-capture';
+        captureButton.textContent = 'Capture';
+        captureButton.addEventListener('click', function() {
+          console.log('Capture requested for tab:', tab.id);
+          demoModeToggle.checked = false;
+          startCapture(tab.id);
+        });
+        
+        // Mix this tab in alongside the ones already captured
+        const mixButton = document.createElement('button');
+        mixButton.className = 'tab-capture';
+        mixButton.textContent = 'Mix';
+        mixButton.title = 'Add to the current capture';
+        mixButton.addEventListener('click', function() {
+          console.log('Mix requested for tab:', tab.id);
+          demoModeToggle.checked = false;
+          addCaptureSource(tab.id);
+        });
+        
+        // Capturing another tab needs a click on the extension there
+        const switchButton = document.createElement('button');
+        switchButton.className = 'tab-capture';
+        switchButton.textContent = 'Go to tab';
+        switchButton.title = 'Switch to this tab, then click DarnViz there to capture it';
+        switchButton.addEventListener('click', async function() {
+          await chrome.tabs.update(tab.id, { active: true });
+          await chrome.windows.update(tab.windowId, { focused: true });
+          window.close();
+        });
+        
+        item.appendChild(favicon);
+        item.appendChild(title);
+        if (currentTab && tab.id === currentTab.id) {
+          item.appendChild(captureButton);
+          item.appendChild(mixButton);
+        } else {
+          item.appendChild(switchButton);
+        }
+        audibleTabList.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Error listing audible tabs:', error);
+    }
+  }
+  
+  // Helper function to mix a tab into the current capture
+  async function addCaptureSource(tabId) {
+    try {
+      const response = await sendMessage({ action: 'addCaptureSource', tabId: tabId });
+      
+      if (response && response.success) {
+        updateUI(true, false);
+        isCapturing = true;
+        refreshCaptureSources();
+      } else {
+        statusText.textContent = `Failed: ${response?.error || 'Unknown error'}`;
+        statusText.className = 'status-value error';
+      }
+    } catch (error) {
+      console.error('Error adding capture source:', error);
+      statusText.textContent = `Error: ${error.message}`;
+      statusText.className = 'status-value error';
+    }
+  }
+  
+  // Helper function to reload the captured tabs from the background script
+  async function refreshCaptureSources() {
+    try {
+      const response = await sendMessage({ action: 'getStatus' });
+      showCapturedTab(response.capturedTabId, response.captureSources.length);
+      renderCaptureSources(response.captureSources);
+    } catch (error) {
+      console.error('Error refreshing capture sources:', error);
+    }
+  }
+  
+  // Helper function to list captured tabs with a gain slider and remove button
+  async function renderCaptureSources(sources) {
+    captureSourceList.textContent = '';
+    
+    // A single source needs no mixing controls
+    if (sources.length < 2) {
+      return;
+    }
+    
+    for (const source of sources) {
+      const item = document.createElement('li');
+      
+      const title = document.createElement('span');
+      title.className = 'tab-title';
+      try {
+        const tab = await browserAPI.tabs.get(source.tabId);
+        title.textContent = tab.title || tab.url;
+      } catch (error) {
+        title.textContent = `Tab ${source.tabId}`;
+      }
+      
+      const gainSlider = document.createElement('input');
+      gainSlider.type = 'range';
+      gainSlider.className = 'source-gain';
+      gainSlider.min = '0';
+      gainSlider.max = '200';
+      gainSlider.value = String(Math.round(source.gain * 100));
+      gainSlider.title = 'Gain';
+      gainSlider.addEventListener('input', function() {
+        sendMessage({
+          action: 'setSourceGain',
+          tabId: source.tabId,
+          gain: Number(gainSlider.value) / 100
+        });
+      });
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'tab-capture';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', async function() {
+        await sendMessage({ action: 'removeCaptureSource', tabId: source.tabId });
+        initializeUI();
+      });
+      
+      item.appendChild(title);
+      item.appendChild(gainSlider);
+      item.appendChild(removeButton);
+      captureSourceList.appendChild(item);
+    }
+  }
+  
+  // Helper function to show which tab is being captured
+  async function showCapturedTab(tabId, sourceCount = 1) {
+    if (!tabId) {
+      capturedTabInfo.style.display = 'none';
+      capturedTabInfo.textContent = '';
+      return;
+    }
+    
+    try {
+      const tab = await browserAPI.tabs.get(tabId);
+      const others = sourceCount > 1 ? ` (+${sourceCount - 1} more)` : '';
+      capturedTabInfo.textContent = `Capturing: ${tab.title || tab.url}${others}`;
+      capturedTabInfo.title = tab.title || tab.url;
+      capturedTabInfo.style.display = 'block';
+    } catch (error) {
+      console.error('Error getting captured tab:', error);
+      capturedTabInfo.style.display = 'none';
+    }
+  }
+  
   // Helper function to initialize UI with current status
   async function initializeUI() {
+    loadAudibleTabs();
+    
     try {
       const response = await sendMessage({ action: 'getStatus' });
       console.log('Status retrieved:', response);
       
       if (response) {
-        updateUI(response.isCapturing);
+        updateUI(response.isCapturing, response.demoMode);
         isCapturing = response.isCapturing;
+        demoModeToggle.checked = response.demoMode;
+        monitorVolumeSlider.value = String(Math.round(response.monitor.volume * 100));
+        monitorMutedToggle.checked = response.monitor.muted;
+        showCapturedTab(response.capturedTabId, response.captureSources.length);
+        renderCaptureSources(response.captureSources);
+        
+        // A paused capture waiting to follow another tab moves to this one on Start
+        if (response.followTabId) {
+          startCaptureButton.disabled = false;
+          statusText.textContent = 'Paused - start capture on the tab to follow';
+        }
         
         // Update step indicators
         document.getElementById('step1').classList.add('active');
@@ -134,13 +341,13 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   // Helper function to update UI based on capture state
-  function updateUI(isActive) {
+  function updateUI(isActive, demoMode = false) {
     if (isActive) {
       startCaptureButton.disabled = true;
       stopCaptureButton.disabled = false;
       statusIndicator.classList.remove('status-inactive');
       statusIndicator.classList.add('status-active');
-      statusText.textContent = 'Active - Capturing audio';
+      statusText.textContent = demoMode ? 'Active - Demo audio' : 'Active - Capturing audio';
       document.getElementById('step2').classList.add('completed');
       
       // Highlight step 3 if we're capturing
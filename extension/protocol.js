@@ -0,0 +1,251 @@
+/**
+ * DarnViz Message Protocol
+ *
+ * Defines every message exchanged between the web app and the extension's
+ * content script, who sends it and what fields it carries. Shared by the
+ * extension (service worker and content script) and the web app bundle, so
+ * both sides validate against the same definitions.
+ *
+ * Only the handshake travels over window.postMessage. The content script
+ * answers DARNVIZ_WEBAPP_READY by transferring one end of a MessageChannel
+ * with DARNVIZ_EXTENSION_CONNECTED, and every other message goes through
+ * that channel. Other frames and origins can't read or spoof it, but the
+ * port is handed over on window, so a script running in the web app's own
+ * page could pick it up during the handshake. The content script keeps the
+ * first channel it opened until the web app sends DARNVIZ_CLOSE_CHANNEL
+ * through it or its other end goes away, so a later ready signal can't take
+ * over a channel in use.
+ */
+
+// Version of this protocol, sent by both sides during the ready/connected handshake
+const PROTOCOL_VERSION = 3;
+
+// Oldest protocol version the other side may speak. Extensions from before
+// the handshake existed send no version and count as version 1; version 2
+// broadcast every message on window instead of using a MessageChannel
+const MIN_PROTOCOL_VERSION = 3;
+
+// Optional features each side can announce during the handshake
+const CAPABILITIES = {
+  TAB_CAPTURE: 'tabCapture',       // Real audio from captured tabs
+  DEMO: 'demo',                    // Synthetic demo frames
+  MULTI_SOURCE: 'multiSource',     // Several tabs mixed, with per-tab levels
+  MONITOR: 'monitor',              // Playback volume and mute of captured audio
+  ANALYSER_CONFIG: 'analyserConfig', // FFT size, smoothing and dB range set by the web app
+  STEREO: 'stereo',                // Left and right channel data
+  FLOAT_DATA: 'floatData',         // Float dB spectra and waveforms
+  HEARTBEAT: 'heartbeat',          // Answers DARNVIZ_HEARTBEAT while the extension is reachable
+  LATENCY: 'latency'               // Answers DARNVIZ_PING with its clock for latency measurement
+};
+
+/**
+ * Message definitions keyed by type
+ *
+ * `from` is the side that sends the message and `window` marks the handshake
+ * messages sent with window.postMessage. Field specs are a JS type
+ * ('boolean', 'number', 'string', 'object', 'array' or 'any'); a trailing
+ * '?' makes the field optional and lets it be null.
+ */
+const MESSAGE_DEFINITIONS = {
+  // Web app -> extension
+  DARNVIZ_WEBAPP_READY: {
+    from: 'webapp',
+    window: true,
+    fields: { protocolVersion: 'number?', capabilities: 'array?' }
+  },
+  DARNVIZ_READY_FOR_DATA: { from: 'webapp', fields: {} },
+  DARNVIZ_CLOSE_CHANNEL: { from: 'webapp', fields: {} },
+  DARNVIZ_STOP_CAPTURE: { from: 'webapp', fields: {} },
+  DARNVIZ_SET_MONITOR: {
+    from: 'webapp',
+    fields: { volume: 'number?', muted: 'boolean?' }
+  },
+  DARNVIZ_SET_ANALYSER_CONFIG: {
+    from: 'webapp',
+    fields: { config: 'object' }
+  },
+  DARNVIZ_HEARTBEAT: { from: 'webapp', fields: {} },
+  DARNVIZ_PING: {
+    from: 'webapp',
+    fields: { id: 'number', sentAt: 'number' }
+  },
+
+  // Extension -> web app
+  DARNVIZ_EXTENSION_LOADED: {
+    from: 'extension',
+    window: true,
+    fields: { version: 'string' }
+  },
+  DARNVIZ_EXTENSION_CONNECTED: {
+    from: 'extension',
+    window: true,
+    fields: { version: 'string', protocolVersion: 'number?', capabilities: 'array?' }
+  },
+  DARNVIZ_EXTENSION_DISCONNECTED: { from: 'extension', fields: {} },
+  DARNVIZ_READY_ACKNOWLEDGED: { from: 'extension', fields: {} },
+  DARNVIZ_HEARTBEAT_ACK: { from: 'extension', fields: {} },
+  DARNVIZ_PONG: {
+    from: 'extension',
+    // sentAt is echoed from the ping; extensionTime is the background script's clock
+    fields: { id: 'number', sentAt: 'number', extensionTime: 'number' }
+  },
+  DARNVIZ_CAPTURE_STATUS: {
+    from: 'extension',
+    fields: {
+      isCapturing: 'boolean',
+      demoMode: 'boolean?',
+      tabId: 'number?',
+      tabIds: 'array?',
+      paused: 'boolean?',
+      reason: 'string?',
+      resumed: 'boolean?'
+    }
+  },
+  DARNVIZ_CAPTURE_ERROR: {
+    from: 'extension',
+    fields: { error: 'string' }
+  },
+  DARNVIZ_AUDIO_DATA: {
+    from: 'extension',
+    fields: {
+      frequencyData: 'array',
+      timeData: 'array',
+      timestamp: 'number',
+      sourceLevels: 'object?',
+      channels: 'object?'
+    }
+  },
+  DARNVIZ_MONITOR_STATUS: {
+    from: 'extension',
+    fields: { volume: 'number', muted: 'boolean' }
+  },
+  DARNVIZ_ANALYSER_CONFIG: {
+    from: 'extension',
+    fields: {
+      fftSize: 'number',
+      smoothing: 'number',
+      minDecibels: 'number',
+      maxDecibels: 'number',
+      extended: 'boolean?',
+      frequencyBinCount: 'number?',
+      sampleRate: 'number?'
+    }
+  },
+  DARNVIZ_NEXT_VISUALIZATION: { from: 'extension', fields: {} },
+  DARNVIZ_PREVIOUS_VISUALIZATION: { from: 'extension', fields: {} },
+  DARNVIZ_TOGGLE_FULLSCREEN: {
+    from: 'extension',
+    fields: { fullscreen: 'boolean' }
+  }
+};
+
+const darnvizProtocol = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  CAPABILITIES,
+
+  // Message type constants, e.g. MESSAGE_TYPES.AUDIO_DATA === 'DARNVIZ_AUDIO_DATA'
+  MESSAGE_TYPES: Object.keys(MESSAGE_DEFINITIONS).reduce((types, type) => {
+    types[type.replace(/^DARNVIZ_/, '')] = type;
+    return types;
+  }, {}),
+
+  /**
+   * Get which side sends a message type
+   * @param {string} type - Message type
+   * @returns {string|null} 'webapp', 'extension' or null for unknown types
+   */
+  getSender: function(type) {
+    const definition = MESSAGE_DEFINITIONS[type];
+    return definition ? definition.from : null;
+  },
+
+  /**
+   * Check whether a message type is part of the window.postMessage handshake
+   * rather than the extension channel
+   * @param {string} type - Message type
+   * @returns {boolean} Whether the type may be sent on window
+   */
+  isWindowMessage: function(type) {
+    const definition = MESSAGE_DEFINITIONS[type];
+    return Boolean(definition && definition.window);
+  },
+
+  /**
+   * Check a message against its definition
+   * @param {Object} message - Message with a type and its fields
+   * @returns {Object} Object with valid and, when invalid, error
+   */
+  validate: function(message) {
+    if (!message || typeof message.type !== 'string') {
+      return { valid: false, error: 'Message has no type' };
+    }
+
+    const definition = MESSAGE_DEFINITIONS[message.type];
+    if (!definition) {
+      return { valid: false, error: `Unknown message type ${message.type}` };
+    }
+
+    for (const [field, spec] of Object.entries(definition.fields)) {
+      const optional = spec.endsWith('?');
+      const expected = optional ? spec.slice(0, -1) : spec;
+      const value = message[field];
+
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return { valid: false, error: `${message.type} is missing ${field}` };
+      }
+
+      if (!matchesType(value, expected)) {
+        return { valid: false, error: `${message.type}.${field} should be ${expected}` };
+      }
+    }
+
+    return { valid: true };
+  },
+
+  /**
+   * Check whether the other side's protocol version can be talked to
+   * @param {number} version - Version from the handshake, missing for old extensions
+   * @returns {boolean} Whether the version is supported
+   */
+  isCompatibleVersion: function(version) {
+    return (typeof version === 'number' ? version : 1) >= MIN_PROTOCOL_VERSION;
+  },
+
+  /**
+   * Get the capabilities both sides support
+   * @param {Array<string>} ours - Capabilities this side supports
+   * @param {Array<string>} theirs - Capabilities announced by the other side
+   * @returns {Array<string>} Capabilities in both lists
+   */
+  negotiateCapabilities: function(ours, theirs) {
+    if (!Array.isArray(theirs)) return [];
+    return ours.filter(capability => theirs.includes(capability));
+  }
+};
+
+// Check a value against a field spec type, treating typed arrays as arrays
+function matchesType(value, expected) {
+  switch (expected) {
+    case 'any':
+      return true;
+    case 'array':
+      return Array.isArray(value) || ArrayBuffer.isView(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === expected;
+  }
+}
+
+// Export for the service worker (importScripts), content script and web app bundle
+try {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = darnvizProtocol;
+  } else {
+    self.darnvizProtocol = darnvizProtocol;
+  }
+} catch (e) {
+  self.darnvizProtocol = darnvizProtocol;
+}
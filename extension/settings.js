@@ -0,0 +1,89 @@
+/**
+ * DarnViz Extension Settings
+ * 
+ * Reads and writes user settings in chrome.storage.sync and derives the
+ * origins the content script bridge is allowed to run on.
+ */
+
+// Default settings used when the user hasn't saved any
+const DEFAULT_SETTINGS = {
+  visualizerUrl: 'http://localhost:3000/',
+  allowedOrigins: [],
+  // What to do when the captured tab closes, navigates or is muted: 'stop', 'pause' or 'follow'
+  capturedTabPolicy: 'stop',
+  // Playback of captured audio, which tabCapture otherwise silences
+  monitorVolume: 1,
+  monitorMuted: false
+};
+
+const darnvizSettings = {
+  DEFAULT_SETTINGS,
+  
+  /**
+   * Load settings, filling in defaults for anything not saved
+   * @returns {Promise<Object>} Settings object
+   */
+  get: function() {
+    return chrome.storage.sync.get(DEFAULT_SETTINGS);
+  },
+  
+  /**
+   * Save settings
+   * @param {Object} settings - Settings to save (may be partial)
+   * @returns {Promise<void>}
+   */
+  save: function(settings) {
+    return chrome.storage.sync.set(settings);
+  },
+  
+  /**
+   * Normalize a URL or origin string to its origin
+   * @param {string} value - URL or origin entered by the user
+   * @returns {string|null} Origin such as "https://viz.example.com" or null if invalid
+   */
+  normalizeOrigin: function(value) {
+    try {
+      const url = new URL(value.trim());
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+      }
+      return url.origin;
+    } catch (error) {
+      return null;
+    }
+  },
+  
+  /**
+   * Get every origin the visualizer may be served from
+   * @param {Object} settings - Settings object
+   * @returns {string[]} Unique origins, visualizer URL origin first
+   */
+  getVisualizerOrigins: function(settings) {
+    const origins = [settings.visualizerUrl, ...settings.allowedOrigins]
+      .map(value => darnvizSettings.normalizeOrigin(value))
+      .filter(origin => origin !== null);
+    
+    return Array.from(new Set(origins));
+  },
+  
+  /**
+   * Convert an origin to a content script match pattern
+   * @param {string} origin - Origin such as "http://localhost:3000"
+   * @returns {string} Match pattern such as "http://localhost:3000/*"
+   */
+  toMatchPattern: function(origin) {
+    return `${origin}/*`;
+  }
+};
+
+// Export for use in other modules
+try {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = darnvizSettings;
+  } else {
+    self.darnvizSettings = darnvizSettings;
+  }
+} catch (e) {
+  // In extension pages and the service worker, just add to the global scope
+  self.darnvizSettings = darnvizSettings;
+}
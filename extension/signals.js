@@ -0,0 +1,236 @@
+/**
+ * DarnViz Synthetic Signals
+ *
+ * Named test programs that generate frames without any real audio: the
+ * extension's demo mode, the web app's demo source and the visualizations'
+ * placeholders all draw from here. A program describes the signal at a
+ * point in time as tones and noise; frames are rendered from that like an
+ * AnalyserNode would see it, so bins map to real frequencies at the frame
+ * format's sample rate and loud programs saturate and clip.
+ */
+
+// Available programs
+const PROGRAMS = {
+  SWEEP: 'sweep',           // Sine sweeping 20 Hz - 20 kHz every two bars
+  KICK: 'kick',             // Four-on-the-floor kick with offbeat hi-hats
+  PINK_NOISE: 'pinkNoise',  // Pink noise, equal energy per octave
+  CHORD: 'chord',           // Sustained C major chord with harmonics
+  SILENCE: 'silence',       // Nothing at all
+  CLIPPING: 'clipping'      // One beat of overdriven bass per bar, clipping
+};
+
+// Default program settings; tempo in beats per minute, level from 0 to 1
+const DEFAULT_OPTIONS = {
+  program: PROGRAMS.KICK,
+  tempo: 120,
+  level: 0.8
+};
+
+// Frame size and analyser range generated frames correspond to
+const FRAME_FORMAT = {
+  fftSize: 2048,
+  sampleRate: 44100,
+  minDecibels: -100,
+  maxDecibels: -30
+};
+
+// Peak bin magnitude of a full scale sine, as a Blackman-windowed FFT sees it
+const TONE_GAIN = 0.21;
+
+// Bins on either side of a tone's bin that its energy spreads into
+const TONE_SPREAD = 2;
+
+const SWEEP_LOW = 20;
+const SWEEP_HIGH = 20000;
+const BEATS_PER_BAR = 4;
+
+// C major chord (C4, E4, G4) with the harmonics of a soft pad
+const CHORD_NOTES = [261.63, 329.63, 392.0];
+const CHORD_HARMONICS = [1, 0.4, 0.2, 0.1];
+
+/**
+ * Describe what a program plays at a point in time
+ * @param {string} program - One of PROGRAMS
+ * @param {number} time - Seconds since the program started
+ * @param {Object} options - tempo and level
+ * @returns {Object} tones (each { frequency, amplitude }) and noise (each
+ *   { amplitude, color: 'pink' or 'white', lowCut }), amplitudes relative to full scale
+ */
+function describeSignal(program, time, options) {
+  const beatLength = 60 / options.tempo;
+  const beat = time / beatLength;
+  const beatTime = (beat % 1) * beatLength; // Seconds since the current beat
+  const level = options.level;
+
+  switch (program) {
+    case PROGRAMS.SWEEP: {
+      const progress = (beat % (2 * BEATS_PER_BAR)) / (2 * BEATS_PER_BAR);
+      const frequency = SWEEP_LOW * Math.pow(SWEEP_HIGH / SWEEP_LOW, progress);
+      return { tones: [{ frequency, amplitude: level }], noise: [] };
+    }
+
+    case PROGRAMS.KICK: {
+      // Kick on every beat: a pitch drop from 150 to 50 Hz decaying within the beat
+      const kickEnvelope = Math.exp(-beatTime * 12);
+      const kickPitch = 50 + 100 * Math.exp(-beatTime * 30);
+      // Hi-hat on the offbeats
+      const offbeatTime = ((beat + 0.5) % 1) * beatLength;
+      const hatEnvelope = Math.exp(-offbeatTime * 40);
+      return {
+        tones: [
+          { frequency: kickPitch, amplitude: level * kickEnvelope },
+          { frequency: kickPitch * 2, amplitude: level * kickEnvelope * 0.3 }
+        ],
+        noise: [
+          { amplitude: level * kickEnvelope * 0.2, color: 'pink', lowCut: 0 },
+          { amplitude: level * hatEnvelope * 0.3, color: 'white', lowCut: 6000 }
+        ]
+      };
+    }
+
+    case PROGRAMS.PINK_NOISE:
+      return { tones: [], noise: [{ amplitude: level * 0.5, color: 'pink', lowCut: 0 }] };
+
+    case PROGRAMS.CHORD: {
+      const tones = [];
+      CHORD_NOTES.forEach(note => {
+        CHORD_HARMONICS.forEach((gain, index) => {
+          tones.push({ frequency: note * (index + 1), amplitude: level * gain / CHORD_NOTES.length });
+        });
+      });
+      return { tones, noise: [] };
+    }
+
+    case PROGRAMS.CLIPPING: {
+      // Overdriven to three times full scale on the first beat of each bar
+      if (beat % BEATS_PER_BAR >= 1) {
+        return { tones: [], noise: [] };
+      }
+      const drive = 3 * level;
+      return {
+        tones: [
+          { frequency: 80, amplitude: drive },
+          { frequency: 440, amplitude: drive * 0.5 }
+        ],
+        noise: []
+      };
+    }
+
+    case PROGRAMS.SILENCE:
+    default:
+      return { tones: [], noise: [] };
+  }
+}
+
+/**
+ * Create a generator that renders frames of a program
+ * @param {Object} options - program, tempo and level, see DEFAULT_OPTIONS
+ * @returns {Object} Generator with options, setOptions and generateFrame
+ */
+function createSignalGenerator(options = {}) {
+  // Pink noise filter state, kept across frames so the noise is continuous
+  const pink = [0, 0, 0, 0, 0, 0, 0];
+
+  // Pink noise sample from white noise (Paul Kellet's refined filter)
+  const nextPinkSample = () => {
+    const white = Math.random() * 2 - 1;
+    pink[0] = 0.99886 * pink[0] + white * 0.0555179;
+    pink[1] = 0.99332 * pink[1] + white * 0.0750759;
+    pink[2] = 0.96900 * pink[2] + white * 0.1538520;
+    pink[3] = 0.86650 * pink[3] + white * 0.3104856;
+    pink[4] = 0.55000 * pink[4] + white * 0.5329522;
+    pink[5] = -0.7616 * pink[5] - white * 0.0168980;
+    const sample = pink[0] + pink[1] + pink[2] + pink[3] + pink[4] + pink[5] + pink[6] + white * 0.5362;
+    pink[6] = white * 0.115926;
+    return sample * 0.11; // Roughly -1 to 1
+  };
+
+  const generator = {
+    options: { ...DEFAULT_OPTIONS, ...options },
+
+    /**
+     * Change the program, tempo or level
+     * @param {Object} changes - Changed options
+     */
+    setOptions(changes) {
+      generator.options = { ...generator.options, ...changes };
+    },
+
+    /**
+     * Render the frame an analyser would produce at a point in time
+     * @param {number} time - Seconds since the program started
+     * @param {Object} format - fftSize, sampleRate, minDecibels and
+     *   maxDecibels, see FRAME_FORMAT
+     * @returns {Object} frequencyData (fftSize / 2 bins) and timeData
+     *   (fftSize samples) as Uint8Arrays, like getByteFrequencyData and
+     *   getByteTimeDomainData
+     */
+    generateFrame(time, format = FRAME_FORMAT) {
+      const { tones, noise } = describeSignal(generator.options.program, time, generator.options);
+      const timeData = new Uint8Array(format.fftSize);
+      const frequencyData = new Uint8Array(format.fftSize / 2);
+
+      // Waveform: the frame's samples end at the given time
+      const start = time - format.fftSize / format.sampleRate;
+      for (let i = 0; i < timeData.length; i++) {
+        const t = start + i / format.sampleRate;
+        let value = 0;
+        tones.forEach(tone => {
+          value += tone.amplitude * Math.sin(2 * Math.PI * tone.frequency * t);
+        });
+        noise.forEach(part => {
+          value += part.amplitude * (part.color === 'pink' ? nextPinkSample() : Math.random() * 2 - 1);
+        });
+
+        // Anything beyond full scale clips
+        timeData[i] = Math.max(0, Math.min(255, Math.round(128 + value * 128)));
+      }
+
+      // Spectrum: tones peak at their bin, noise fills the bins above its cutoff
+      const binWidth = format.sampleRate / format.fftSize;
+      const decibelRange = format.maxDecibels - format.minDecibels;
+      for (let i = 0; i < frequencyData.length; i++) {
+        const frequency = Math.max(i, 0.5) * binWidth;
+        let magnitude = 0;
+
+        tones.forEach(tone => {
+          const distance = Math.abs(frequency - tone.frequency) / binWidth;
+          if (distance < TONE_SPREAD) {
+            magnitude += tone.amplitude * TONE_GAIN * Math.pow(1 - distance / TONE_SPREAD, 2);
+          }
+        });
+
+        noise.forEach(part => {
+          if (frequency < part.lowCut) return;
+          const shape = part.color === 'pink' ? Math.sqrt(100 / Math.max(frequency, 20)) : 1;
+          magnitude += part.amplitude * 0.02 * shape * (0.6 + Math.random() * 0.8);
+        });
+
+        const decibels = 20 * Math.log10(magnitude + 1e-10);
+        frequencyData[i] = Math.max(0, Math.min(255, Math.round(255 * (decibels - format.minDecibels) / decibelRange)));
+      }
+
+      return { frequencyData, timeData };
+    }
+  };
+
+  return generator;
+}
+
+const darnvizSignals = {
+  PROGRAMS,
+  DEFAULT_OPTIONS,
+  FRAME_FORMAT,
+  createSignalGenerator
+};
+
+// Export for the service worker (importScripts) and web app bundle
+try {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = darnvizSignals;
+  } else {
+    self.darnvizSignals = darnvizSignals;
+  }
+} catch (e) {
+  self.darnvizSignals = darnvizSignals;
+}
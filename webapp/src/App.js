@@ -1,10 +1,23 @@
 import React, { useContext, useState, useEffect, useRef } from 'react';
-import AudioProvider, { AudioContext } from './context/AudioContext';
+import AudioProvider, { AudioContext, useAudioFrame } from './context/AudioContext';
 import ThemeProvider, { ThemeContext } from './context/ThemeContext';
 import ExtensionCheck from './components/ExtensionCheck';
-import Waveform from './components/visualizations/Waveform';
+import AudioInputControls from './components/AudioInputControls';
+import DemoControls from './components/DemoControls';
+import FilePlaybackControls from './components/FilePlaybackControls';
+import MonitorControls from './components/MonitorControls';
+import SourceSwitcher from './components/SourceSwitcher';
+import SessionRecordControls from './components/SessionRecordControls';
+import SessionPlaybackControls from './components/SessionPlaybackControls';
+import VisualizationManager, { VISUALIZATIONS } from './components/VisualizationManager';
+import extensionBridge, { CONNECTION_STATES } from './utils/extensionBridge';
+import { SOURCE_IDS } from './sources';
+import { isSessionFile } from './utils/sessionFile';
 import './App.css';
 
+// Visualization IDs in the order keyboard commands cycle through them
+const VISUALIZATION_IDS = Object.keys(VISUALIZATIONS);
+
 /**
  * Main application component wrapper
  * Provides context providers and initial layout
@@ -19,15 +32,69 @@ function App() {
   );
 }
 
+/**
+ * Current input level for the debug panel
+ *
+ * Subscribes to frames at a low rate on its own, so only this line
+ * re-renders while audio plays.
+ */
+function LevelReadout() {
+  const frame = useAudioFrame();
+  return <p>Input Level: {frame ? Math.round(frame.volume * 100) : 0}%</p>;
+}
+
 /**
  * Main application content
  * Uses context values to render appropriate UI
  */
 function AppContent() {
-  const { isPlaying, extensionConnected, startCapture, stopCapture } = useContext(AudioContext);
+  const {
+    isPlaying,
+    capturePaused,
+    captureReason,
+    extensionConnected,
+    sources,
+    sourceId,
+    sourceState,
+    selectSource,
+    recording,
+    captureError,
+    connectionState,
+    connectionLost,
+    extensionIncompatibility,
+    latency,
+    startCapture,
+    stopCapture
+  } = useContext(AudioContext);
   const { theme } = useContext(ThemeContext);
   const [visualizerSize, setVisualizerSize] = useState({ width: 800, height: 400 });
+  const [selectedViz, setSelectedViz] = useState(VISUALIZATION_IDS[0]);
+  const [fullscreen, setFullscreen] = useState(false);
   const containerRef = useRef(null);
+  const extensionSelected = sourceId === SOURCE_IDS.EXTENSION;
+  const activeSource = sources.find(source => source.id === sourceId);
+  
+  // Follow visualization and fullscreen commands sent by the extension's shortcuts
+  useEffect(() => {
+    const cycleVisualization = (step) => {
+      setSelectedViz(current => {
+        const index = VISUALIZATION_IDS.indexOf(current);
+        return VISUALIZATION_IDS[(index + step + VISUALIZATION_IDS.length) % VISUALIZATION_IDS.length];
+      });
+    };
+    
+    const nextListener = extensionBridge.addListener('nextVisualization', () => cycleVisualization(1));
+    const previousListener = extensionBridge.addListener('previousVisualization', () => cycleVisualization(-1));
+    const fullscreenListener = extensionBridge.addListener('toggleFullscreen', (data) => {
+      setFullscreen(current => (data.fullscreen !== undefined ? data.fullscreen : !current));
+    });
+    
+    return () => {
+      nextListener();
+      previousListener();
+      fullscreenListener();
+    };
+  }, []);
 
   // Update visualizer size based on container size
   useEffect(() => {
@@ -49,44 +116,104 @@ function AppContent() {
     // Update on resize
     window.addEventListener('resize', updateSize);
     return () => window.removeEventListener('resize', updateSize);
-  }, [extensionConnected]);
+  }, [extensionConnected, extensionSelected, fullscreen]);
+  
+  // Play audio files dropped anywhere on the app
+  const handleDragOver = (e) => {
+    if (e.dataTransfer.types.includes('Files')) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }
+  };
+  
+  const handleDrop = (e) => {
+    const [file] = e.dataTransfer.files;
+    if (!file) return;
+    
+    e.preventDefault();
+    selectSource(isSessionFile(file) ? SOURCE_IDS.RECORDING : SOURCE_IDS.FILE, { file });
+  };
 
   return (
-    <div className="darnviz-app" style={{ backgroundColor: theme.background, color: theme.text }}>
+    <div
+      className={`darnviz-app ${fullscreen ? 'fullscreen' : ''}`}
+      style={{ backgroundColor: theme.background, color: theme.text }}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
       <header className="app-header">
         <h1 style={{ color: theme.primary }}>DarnViz</h1>
         <p>Real-time Music Visualization</p>
       </header>
       
       <main className="app-content">
-        {!extensionConnected && <ExtensionCheck />}
+        {extensionSelected && !extensionConnected && (
+          <ExtensionCheck
+            connectionState={connectionState}
+            connectionLost={connectionLost}
+            incompatibility={extensionIncompatibility}
+          />
+        )}
         
-        {extensionConnected && (
+        {(extensionConnected || !extensionSelected) && (
           <div className="visualization-container" ref={containerRef}>
             <div className="visualization-placeholder" 
                  style={{ backgroundColor: theme.background === '#121212' ? '#1E1E1E' : '#E0E0E0' }}>
               <div className="debug-info">
-                <p>Extension Connected: {extensionConnected ? 'Yes' : 'No'}</p>
-                <p>Audio Capture: {isPlaying ? 'Active' : 'Inactive'}</p>
+                <p>Audio Source: {activeSource ? activeSource.label : sourceId}
+                  {sourceState.file && ` (${sourceState.file.name})`}
+                  {sourceState.session && ` (${sourceState.session.name})`}</p>
+                {extensionSelected && (
+                  <p>Extension Connection: {connectionState}</p>
+                )}
+                {latency && latency.latency !== null && (
+                  <p>Latency: {Math.round(latency.latency)} ms (jitter {Math.round(latency.jitter)} ms)</p>
+                )}
+                {connectionState === CONNECTION_STATES.STALLED && (
+                  <p className="stalled-notice">No audio frames for a while, the capture may have stalled</p>
+                )}
+                <p>Audio Capture: {isPlaying ? 'Active' : capturePaused ? 'Paused' : 'Inactive'}
+                  {captureReason && ` (${captureReason})`}</p>
+                {isPlaying && <LevelReadout />}
               </div>
               
               {isPlaying ? (
-                <Waveform width={visualizerSize.width} height={visualizerSize.height} />
-              ) : (
+                <VisualizationManager
+                  width={visualizerSize.width}
+                  height={visualizerSize.height}
+                  selectedViz={selectedViz}
+                  intricacy="high"
+                />
+              ) : extensionSelected ? (
                 <div className="instruction-panel">
                   <h3>Audio Capture Instructions</h3>
                   <ol>
                     <li>Go to a tab with audio playing (YouTube, Spotify, etc.)</li>
                     <li>Click the DarnViz extension icon</li>
-                    <li>Click <strong>Open Visualizer</strong> to begin capturing audio</li>
+                    <li>Click <strong>Start Capture</strong> to begin capturing that tab&apos;s audio</li>
                     <li>Return to this tab to see the visualization</li>
                   </ol>
-                  <p className="note">Note: The visualizer will use synthetic data for demonstration purposes.</p>
+                  <p className="note">Note: Tick &quot;Use synthetic demo audio&quot; in the popup to try the visualizer without a playing tab.</p>
+                </div>
+              ) : (
+                <div className="instruction-panel">
+                  <p>Waiting for audio from the {activeSource ? activeSource.label.toLowerCase() : 'selected'} source.</p>
                 </div>
               )}
             </div>
           </div>
         )}
+        
+        <SourceSwitcher />
+        
+        {sourceId === SOURCE_IDS.DEMO && <DemoControls />}
+        {sourceId === SOURCE_IDS.INPUT && <AudioInputControls />}
+        {sourceId === SOURCE_IDS.FILE && <FilePlaybackControls />}
+        {sourceId === SOURCE_IDS.RECORDING && <SessionPlaybackControls />}
+        {((extensionSelected && extensionConnected) || recording) && <SessionRecordControls />}
+        {captureError && <p className="source-error">{captureError}</p>}
+        
+        {isPlaying && <MonitorControls />}
       </main>
       
       <footer className="app-footer">
@@ -0,0 +1,48 @@
+import React, { useContext } from 'react';
+import { AudioContext } from '../context/AudioContext';
+import { ThemeContext } from '../context/ThemeContext';
+import { SOURCE_IDS, SOURCE_STATUS } from '../sources';
+
+/**
+ * Audio Input Controls Component
+ *
+ * Device selection for the microphone / line-in source, e.g. a mixer feed.
+ * Choosing another device switches to it; if the input couldn't be opened
+ * or was unplugged it can be opened again.
+ */
+function AudioInputControls() {
+  const { sourceState, selectSource } = useContext(AudioContext);
+  const { theme } = useContext(ThemeContext);
+  const devices = sourceState.devices || [];
+
+  const openInput = (deviceId) => {
+    selectSource(SOURCE_IDS.INPUT, { deviceId });
+  };
+
+  return (
+    <div className="audio-input-controls">
+      <label htmlFor="audio-input-device">Audio input</label>
+      <select
+        id="audio-input-device"
+        value={sourceState.deviceId || ''}
+        onChange={(e) => openInput(e.target.value)}
+      >
+        <option value="">Default input</option>
+        {devices.map(device => (
+          <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+        ))}
+      </select>
+      {sourceState.status !== SOURCE_STATUS.ACTIVE && (
+        <button
+          className="control-button"
+          onClick={() => openInput(sourceState.deviceId)}
+          style={{ backgroundColor: theme.primary }}
+        >
+          Open Input
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default AudioInputControls;
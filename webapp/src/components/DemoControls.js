@@ -0,0 +1,88 @@
+import React, { useContext, useEffect, useState } from 'react';
+import darnvizSignals from '../../../extension/signals';
+import { AudioContext } from '../context/AudioContext';
+import { TEMPO_RANGE } from '../sources/DemoSource';
+
+const { PROGRAMS } = darnvizSignals;
+
+// Names of the signal generator's programs, in menu order
+const PROGRAM_LABELS = {
+  [PROGRAMS.KICK]: 'Four-on-the-floor kick',
+  [PROGRAMS.SWEEP]: 'Frequency sweep',
+  [PROGRAMS.PINK_NOISE]: 'Pink noise',
+  [PROGRAMS.CHORD]: 'Sustained chord',
+  [PROGRAMS.CLIPPING]: 'Clipping burst',
+  [PROGRAMS.SILENCE]: 'Silence'
+};
+
+/**
+ * Demo Controls Component
+ *
+ * Program, tempo and level of the demo source's synthetic signal, for
+ * checking how visualizations react to known material.
+ */
+function DemoControls() {
+  const { sourceState, audioSource } = useContext(AudioContext);
+  const signal = sourceState.signal;
+  const tempo = signal ? signal.tempo : null;
+  // Tempo as typed, applied once it's a valid tempo or the field loses focus
+  const [tempoText, setTempoText] = useState(String(tempo));
+
+  useEffect(() => {
+    setTempoText(String(tempo));
+  }, [tempo]);
+
+  if (!signal) return null;
+
+  const handleTempoChange = (e) => {
+    const text = e.target.value;
+    const value = Number(text);
+    setTempoText(text);
+    if (text !== '' && Number.isInteger(value) && value >= TEMPO_RANGE.min && value <= TEMPO_RANGE.max) {
+      audioSource.setSignal({ tempo: value });
+    }
+  };
+
+  // Clamp whatever was left in the field, or go back to the current tempo
+  const handleTempoBlur = () => {
+    audioSource.setSignal({ tempo: tempoText });
+    setTempoText(String(audioSource.getState().signal.tempo));
+  };
+
+  return (
+    <div className="demo-controls">
+      <label htmlFor="demo-program">Program</label>
+      <select
+        id="demo-program"
+        value={signal.program}
+        onChange={(e) => audioSource.setSignal({ program: e.target.value })}
+      >
+        {Object.keys(PROGRAM_LABELS).map(program => (
+          <option key={program} value={program}>{PROGRAM_LABELS[program]}</option>
+        ))}
+      </select>
+      <label htmlFor="demo-tempo">Tempo</label>
+      <input
+        id="demo-tempo"
+        type="number"
+        min={TEMPO_RANGE.min}
+        max={TEMPO_RANGE.max}
+        value={tempoText}
+        onChange={handleTempoChange}
+        onBlur={handleTempoBlur}
+      />
+      <span>BPM</span>
+      <label htmlFor="demo-level">Level</label>
+      <input
+        id="demo-level"
+        type="range"
+        min="0"
+        max="100"
+        value={Math.round(signal.level * 100)}
+        onChange={(e) => audioSource.setSignal({ level: Number(e.target.value) / 100 })}
+      />
+    </div>
+  );
+}
+
+export default DemoControls;
@@ -1,34 +1,58 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useContext } from 'react';
 import { ThemeContext } from '../context/ThemeContext';
-import extensionBridge from '../utils/extensionBridge';
+import { CONNECTION_STATES } from '../utils/extensionBridge';
 
 /**
  * Component to check for the presence of the DarnViz extension
  * 
  * Displays a message if the extension is not detected and provides
- * installation instructions.
+ * installation instructions (another audio source can be picked
+ * instead), asks for an update if the installed extension
+ * is too old to talk to this web app, or says it is reconnecting when a
+ * working connection was lost.
+ * 
+ * @param {string} props.connectionState - One of CONNECTION_STATES
+ * @param {boolean} props.connectionLost - Whether the extension was connected earlier
+ * @param {Object} props.incompatibility - Optional extensionVersion, protocolVersion
+ *   and requiredVersion reported by the extension bridge
  */
-function ExtensionCheck() {
-  const [checkingStatus, setCheckingStatus] = useState(true);
+function ExtensionCheck({ connectionState, connectionLost, incompatibility }) {
   const { theme } = useContext(ThemeContext);
   
-  useEffect(() => {
-    // Set a timeout to change from "checking" to "not found" state
-    const timer = setTimeout(() => {
-      setCheckingStatus(false);
-    }, 3000);
-    
-    // Clean up timer
-    return () => clearTimeout(timer);
-  }, []);
-  
   const handleInstallClick = () => {
     // Open Chrome Web Store or Firefox Add-ons page
     // For now, just open the extensions page in Chrome
     window.open('chrome://extensions', '_blank');
   };
   
-  if (checkingStatus) {
+  if (connectionState === CONNECTION_STATES.INCOMPATIBLE && incompatibility) {
+    return (
+      <div className="extension-check outdated" style={{ color: theme.text }}>
+        <div className="message">
+          <h2>DarnViz Extension Update Required</h2>
+          <p>
+            The installed DarnViz extension (version {incompatibility.extensionVersion}) speaks
+            protocol version {incompatibility.protocolVersion}, but this visualizer needs
+            version {incompatibility.requiredVersion} or newer.
+          </p>
+          <ol className="install-instructions">
+            <li>Click the "Open Extensions" button below</li>
+            <li>Reload the DarnViz extension, or load the latest <code>darnviz/extension</code> folder</li>
+            <li>Return to this page and refresh</li>
+          </ol>
+          <button 
+            onClick={handleInstallClick} 
+            className="install-extension-button"
+            style={{ backgroundColor: theme.primary }}
+          >
+            Open Extensions
+          </button>
+        </div>
+      </div>
+    );
+  }
+  
+  if (connectionState === CONNECTION_STATES.CHECKING) {
     return (
       <div className="extension-check checking" style={{ color: theme.text }}>
         <div className="message">
@@ -39,11 +63,24 @@ function ExtensionCheck() {
     );
   }
   
+  if (connectionLost) {
+    return (
+      <div className="extension-check checking" style={{ color: theme.text }}>
+        <div className="message">
+          <h2>Lost connection to the DarnViz extension</h2>
+          <p>Reconnecting... If you just reloaded or updated the extension, refresh this page.</p>
+          <div className="loading-spinner" style={{ borderColor: `${theme.primary} transparent ${theme.primary} transparent` }}></div>
+        </div>
+      </div>
+    );
+  }
+  
   return (
     <div className="extension-check not-found" style={{ color: theme.text }}>
       <div className="message">
-        <h2>DarnViz Extension Required</h2>
-        <p>To create visualizations, you need to install the DarnViz Chrome extension.</p>
+        <h2>DarnViz Extension Not Found</h2>
+        <p>To visualize audio from your browser tabs, you need to install the DarnViz Chrome extension.
+          Without it you can still visualize the demo, a microphone or line-in input, or an audio file by picking another source below.</p>
         <div className="extension-instructions">
           <h3>How to Use DarnViz:</h3>
           <ol className="install-instructions">
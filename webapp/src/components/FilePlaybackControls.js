@@ -0,0 +1,109 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { AudioContext } from '../context/AudioContext';
+import { ThemeContext } from '../context/ThemeContext';
+import { SOURCE_IDS } from '../sources';
+import formatTime from '../utils/formatTime';
+
+// How often the position display updates while a file plays, in ms
+const POSITION_UPDATE_INTERVAL = 250;
+
+/**
+ * File Playback Controls Component
+ *
+ * Opens a local audio file in the file source and shows play/pause, seek
+ * and loop controls for it, so visualizations can be tuned on a known
+ * track. Files can also be dropped anywhere on the app.
+ */
+function FilePlaybackControls() {
+  const { sourceState, audioSource, selectSource } = useContext(AudioContext);
+  const { theme } = useContext(ThemeContext);
+  const [position, setPosition] = useState(0);
+  const fileInputRef = useRef(null);
+  const filePlayback = sourceState.file;
+
+  // Poll the position while playing; it isn't source state so playback
+  // doesn't re-render the whole app
+  useEffect(() => {
+    setPosition(audioSource.getPosition());
+    if (!filePlayback || !filePlayback.playing) return undefined;
+
+    const timer = setInterval(() => setPosition(audioSource.getPosition()), POSITION_UPDATE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [filePlayback, audioSource]);
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    if (file) {
+      selectSource(SOURCE_IDS.FILE, { file });
+    }
+    // Allow opening the same file again
+    e.target.value = '';
+  };
+
+  const handleSeek = (e) => {
+    const target = Number(e.target.value);
+    audioSource.seek(target);
+    setPosition(target);
+  };
+
+  return (
+    <div className="file-playback-controls">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="audio/*,.mp3,.wav,.flac,.ogg"
+        onChange={handleFileChange}
+        hidden
+      />
+      <button
+        className="control-button"
+        onClick={() => fileInputRef.current.click()}
+        style={{ backgroundColor: theme.primary }}
+      >
+        {filePlayback ? 'Open Another File' : 'Open Audio File'}
+      </button>
+
+      {filePlayback && (
+        <>
+          <span className="file-name">{filePlayback.name}</span>
+          <button
+            className="control-button"
+            onClick={() => (filePlayback.playing ? audioSource.pause() : audioSource.play())}
+            style={{ backgroundColor: theme.primary }}
+          >
+            {filePlayback.playing ? 'Pause' : 'Play'}
+          </button>
+          <input
+            type="range"
+            aria-label="Position"
+            min="0"
+            max={filePlayback.duration}
+            step="0.1"
+            value={position}
+            onChange={handleSeek}
+          />
+          <span className="file-position">
+            {formatTime(position)} / {formatTime(filePlayback.duration)}
+          </span>
+          <label>
+            <input
+              type="checkbox"
+              checked={filePlayback.loop}
+              onChange={(e) => audioSource.setLoop(e.target.checked)}
+            />
+            Loop
+          </label>
+          <button
+            className="control-button"
+            onClick={() => audioSource.unload()}
+            style={{ backgroundColor: theme.secondary }}
+          >
+            Close
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FilePlaybackControls;
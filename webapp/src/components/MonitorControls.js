@@ -0,0 +1,65 @@
+import React, { useContext } from 'react';
+import { AudioContext } from '../context/AudioContext';
+import { ThemeContext } from '../context/ThemeContext';
+import { SOURCE_CAPABILITIES } from '../sources';
+
+/**
+ * Monitor Controls Component
+ * 
+ * Volume slider and mute button for playback of the captured tab's audio,
+ * which the extension routes back to the speakers (for sources with the
+ * monitor capability), and the audio/visual offset for outputs that add
+ * their own delay, such as Bluetooth speakers.
+ */
+function MonitorControls() {
+  const {
+    sourceState,
+    audioSource,
+    hasSourceCapability,
+    avOffset,
+    maxAvOffset,
+    setAvOffset
+  } = useContext(AudioContext);
+  const { theme } = useContext(ThemeContext);
+  const monitor = sourceState.monitor;
+  const showMonitor = hasSourceCapability(SOURCE_CAPABILITIES.MONITOR) && Boolean(monitor);
+  
+  return (
+    <div className="monitor-controls">
+      {showMonitor && (
+        <>
+          <label htmlFor="monitor-volume">Playback</label>
+          <input
+            id="monitor-volume"
+            type="range"
+            min="0"
+            max="100"
+            value={Math.round(monitor.volume * 100)}
+            onChange={(e) => audioSource.setMonitor({ volume: Number(e.target.value) / 100 })}
+            disabled={monitor.muted}
+          />
+          <button
+            className="control-button"
+            onClick={() => audioSource.setMonitor({ muted: !monitor.muted })}
+            style={{ backgroundColor: monitor.muted ? theme.secondary : theme.primary }}
+          >
+            {monitor.muted ? 'Unmute' : 'Mute'}
+          </button>
+        </>
+      )}
+      <label htmlFor="av-offset">A/V offset</label>
+      <input
+        id="av-offset"
+        type="range"
+        min="0"
+        max={maxAvOffset}
+        step="10"
+        value={avOffset}
+        onChange={(e) => setAvOffset(Number(e.target.value))}
+      />
+      <span className="av-offset-value">{avOffset} ms</span>
+    </div>
+  );
+}
+
+export default MonitorControls;
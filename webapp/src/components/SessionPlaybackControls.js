@@ -0,0 +1,126 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { AudioContext } from '../context/AudioContext';
+import { ThemeContext } from '../context/ThemeContext';
+import { SOURCE_IDS } from '../sources';
+import { SESSION_FILE_EXTENSION } from '../utils/sessionFile';
+import formatTime from '../utils/formatTime';
+
+// How often the position display updates while a session replays, in ms
+const POSITION_UPDATE_INTERVAL = 250;
+
+/**
+ * Session Playback Controls Component
+ *
+ * Opens a recorded session file in the recorded session source and shows
+ * play/pause, frame stepping and seek controls for it, so a reported
+ * glitch can be found and looked at frame by frame.
+ */
+function SessionPlaybackControls() {
+  const { sourceState, audioSource, selectSource } = useContext(AudioContext);
+  const { theme } = useContext(ThemeContext);
+  const [position, setPosition] = useState({ time: 0, frame: -1 });
+  const fileInputRef = useRef(null);
+  const session = sourceState.session;
+
+  // Poll the position while replaying, like the file playback controls
+  const updatePosition = () => {
+    setPosition({ time: audioSource.getPosition(), frame: audioSource.getFrameIndex() });
+  };
+
+  useEffect(() => {
+    updatePosition();
+    if (!session || !session.playing) return undefined;
+
+    const timer = setInterval(updatePosition, POSITION_UPDATE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [session, audioSource]);
+
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    if (file) {
+      selectSource(SOURCE_IDS.RECORDING, { file });
+    }
+    // Allow opening the same file again
+    e.target.value = '';
+  };
+
+  const handleSeek = (e) => {
+    audioSource.seek(Number(e.target.value));
+    updatePosition();
+  };
+
+  const step = (direction) => {
+    audioSource.step(direction);
+    updatePosition();
+  };
+
+  return (
+    <div className="session-playback-controls">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={SESSION_FILE_EXTENSION}
+        onChange={handleFileChange}
+        hidden
+      />
+      <button
+        className="control-button"
+        onClick={() => fileInputRef.current.click()}
+        style={{ backgroundColor: theme.primary }}
+      >
+        {session ? 'Open Another Session' : 'Open Session File'}
+      </button>
+
+      {session && (
+        <>
+          <span className="file-name">{session.name}</span>
+          <button
+            className="control-button"
+            onClick={() => step(-1)}
+            style={{ backgroundColor: theme.primary }}
+            aria-label="Previous frame"
+          >
+            &lsaquo;
+          </button>
+          <button
+            className="control-button"
+            onClick={() => (session.playing ? audioSource.pause() : audioSource.play())}
+            style={{ backgroundColor: theme.primary }}
+          >
+            {session.playing ? 'Pause' : 'Play'}
+          </button>
+          <button
+            className="control-button"
+            onClick={() => step(1)}
+            style={{ backgroundColor: theme.primary }}
+            aria-label="Next frame"
+          >
+            &rsaquo;
+          </button>
+          <input
+            type="range"
+            aria-label="Position"
+            min="0"
+            max={session.duration}
+            step="0.05"
+            value={position.time}
+            onChange={handleSeek}
+          />
+          <span className="file-position">
+            {formatTime(position.time)} / {formatTime(session.duration)}
+            {' '}&middot; frame {position.frame + 1} / {session.frameCount}
+          </span>
+          <button
+            className="control-button"
+            onClick={() => audioSource.unload()}
+            style={{ backgroundColor: theme.secondary }}
+          >
+            Close
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SessionPlaybackControls;
@@ -0,0 +1,80 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { AudioContext } from '../context/AudioContext';
+import { ThemeContext } from '../context/ThemeContext';
+import { SESSION_FILE_EXTENSION } from '../utils/sessionFile';
+import formatTime from '../utils/formatTime';
+
+// How often the recording length updates while recording, in ms
+const PROGRESS_UPDATE_INTERVAL = 500;
+
+// Save a blob as a download named after the time it was recorded
+function downloadSession(blob) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `darnviz-session-${stamp}${SESSION_FILE_EXTENSION}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Session Record Controls Component
+ *
+ * Records the frames and capture status arriving from the extension and
+ * downloads them as a session file when stopped. The file can be replayed
+ * with the recorded session source.
+ */
+function SessionRecordControls() {
+  const { recording, startRecording, stopRecording, sessionRecorder } = useContext(AudioContext);
+  const { theme } = useContext(ThemeContext);
+  const [progress, setProgress] = useState({ duration: 0, frames: 0 });
+
+  useEffect(() => {
+    if (!recording) return undefined;
+
+    const update = () => setProgress({
+      duration: sessionRecorder.getDuration() / 1000,
+      frames: sessionRecorder.getFrameCount()
+    });
+    update();
+    const timer = setInterval(update, PROGRESS_UPDATE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [recording, sessionRecorder]);
+
+  const handleStop = () => {
+    const session = stopRecording();
+    if (session) {
+      downloadSession(session);
+    }
+  };
+
+  return (
+    <div className="session-record-controls">
+      {recording ? (
+        <>
+          <span className="recording-indicator">
+            Recording {formatTime(progress.duration)} ({progress.frames} frames)
+          </span>
+          <button
+            className="control-button"
+            onClick={handleStop}
+            style={{ backgroundColor: theme.secondary }}
+          >
+            Stop &amp; Save
+          </button>
+        </>
+      ) : (
+        <button
+          className="control-button"
+          onClick={startRecording}
+          style={{ backgroundColor: theme.primary }}
+        >
+          Record Session
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SessionRecordControls;
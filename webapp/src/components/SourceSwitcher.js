@@ -0,0 +1,36 @@
+import React, { useContext } from 'react';
+import { AudioContext } from '../context/AudioContext';
+import { ThemeContext } from '../context/ThemeContext';
+
+/**
+ * Source Switcher Component
+ *
+ * One button per audio source; the active source is highlighted and the
+ * choice is remembered by AudioProvider for the next visit.
+ */
+function SourceSwitcher() {
+  const { sources, sourceId, selectSource } = useContext(AudioContext);
+  const { theme } = useContext(ThemeContext);
+
+  return (
+    <div className="source-switcher" role="group" aria-label="Audio source">
+      {sources.map(source => (
+        <button
+          key={source.id}
+          className={`viz-button ${source.id === sourceId ? 'active' : ''}`}
+          onClick={() => selectSource(source.id)}
+          aria-pressed={source.id === sourceId}
+          style={{
+            borderColor: theme.primary,
+            backgroundColor: source.id === sourceId ? theme.primary : 'transparent',
+            color: source.id === sourceId ? theme.background : theme.text
+          }}
+        >
+          {source.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default SourceSwitcher;
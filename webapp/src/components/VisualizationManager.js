@@ -1,11 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import Waveform from './visualizations/Waveform';
 import BarEqualizer from './visualizations/BarEqualizer';
 import ThreeDGeometry from './visualizations/ThreeDGeometry';
 import ParticleSystem from './visualizations/ParticleSystem';
 
 // Visualization registry
-const VISUALIZATIONS = {
+export const VISUALIZATIONS = {
   waveform: {
     name: 'Waveform',
     component: Waveform,
@@ -36,6 +36,9 @@ const VISUALIZATIONS = {
   }
 };
 
+// Stable default so effects depending on the callback don't rerun every render
+const noop = () => {};
+
 /**
  * Visualization Manager Component
  * 
@@ -46,7 +49,7 @@ function VisualizationManager({
   height, 
   selectedViz = 'waveform', 
   intricacy = 'medium',
-  onVizInfoChange = () => {} 
+  onVizInfoChange = noop 
 }) {
   // State for current visualization and transitions
   const [currentViz, setCurrentViz] = useState(selectedViz);
@@ -64,8 +67,9 @@ function VisualizationManager({
     }, {});
   };
   
-  // Available visualizations based on current intricacy
-  const availableVizualizations = getAvailableVisualizations();
+  // Available visualizations based on current intricacy, memoized so the
+  // transition timer below isn't reset by every audio-driven render
+  const availableVizualizations = useMemo(getAvailableVisualizations, [intricacy]);
   
   // Update current visualization when selected or intricacy changes
   useEffect(() => {
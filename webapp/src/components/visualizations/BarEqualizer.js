@@ -1,6 +1,23 @@
 import React, { useRef, useEffect, useContext } from 'react';
 import { AudioContext } from '../../context/AudioContext';
 import { ThemeContext } from '../../context/ThemeContext';
+import getPlaceholderFrame from '../../utils/placeholderFrame';
+import { calculateBandLevel } from '../../utils/audioFeatures';
+
+// Number of bars and the frequency range they cover in Hz
+const BAR_COUNT = 64;
+const LOWEST_FREQUENCY = 20;
+const HIGHEST_FREQUENCY = 20000;
+
+// Frequency range of each bar, spaced logarithmically so every octave gets
+// about the same width, like on a hardware equalizer
+const BAR_BANDS = Array.from({ length: BAR_COUNT }, (_, i) => {
+  const ratio = HIGHEST_FREQUENCY / LOWEST_FREQUENCY;
+  return [
+    LOWEST_FREQUENCY * Math.pow(ratio, i / BAR_COUNT),
+    LOWEST_FREQUENCY * Math.pow(ratio, (i + 1) / BAR_COUNT)
+  ];
+});
 
 /**
  * Bar Equalizer Visualization Component
@@ -9,6 +26,7 @@ import { ThemeContext } from '../../context/ThemeContext';
  */
 function BarEqualizer({ width, height }) {
   const canvasRef = useRef(null);
+  const frameRef = useRef(null);
   const { isPlaying, getFrequencyData } = useContext(AudioContext);
   const { theme } = useContext(ThemeContext);
   
@@ -36,45 +54,20 @@ function BarEqualizer({ width, height }) {
           });
         }
         
-        let freqData;
-        
-        // Use real data or generate synthetic data
-        if (frequencyData && frequencyData.length > 0) {
-          freqData = frequencyData;
-        } else {
-          // Generate synthetic data
-          const now = Date.now() / 1000;
-          freqData = new Array(64).fill(0).map((_, i) => {
-            // Simulate frequency spectrum with bass focus
-            const frequency = i / 64;
-            const bassFactor = Math.pow(1 - frequency, 2); // Higher for lower frequencies
-            
-            // Base level dependent on frequency
-            let value = 128 * bassFactor;
-            
-            // Add some temporal variation
-            value += Math.sin(now * 2 + i/5) * 30 * bassFactor;
-            value += Math.sin(now * 3.7 + i/3) * 15 * bassFactor;
-            
-            // Add some randomness
-            value += (Math.random() * 20 - 10) * bassFactor;
-            
-            return Math.max(0, Math.min(255, Math.floor(value)));
-          });
-        }
-        
-        // Number of bars to display
-        const barCount = Math.min(64, freqData.length);
+        // Use real data, or the shared placeholder signal until frames arrive
+        const freqData = frequencyData && frequencyData.length > 0
+          ? frequencyData
+          : getPlaceholderFrame().frequencyData;
         
         // Calculate bar width and spacing
-        const barWidth = width / barCount * 0.8;
-        const barSpacing = width / barCount * 0.2;
-        const barUnit = width / barCount;
+        const barWidth = width / BAR_COUNT * 0.8;
+        const barSpacing = width / BAR_COUNT * 0.2;
+        const barUnit = width / BAR_COUNT;
         
         // Draw bars
-        for (let i = 0; i < barCount; i++) {
-          // Normalize the data value (0-255) to canvas height
-          const value = freqData[i] / 255;
+        for (let i = 0; i < BAR_COUNT; i++) {
+          // Average level of the bar's frequency range, scaled to canvas height
+          const value = calculateBandLevel(freqData, BAR_BANDS[i]);
           const barHeight = value * height;
           
           // Calculate position
@@ -115,13 +108,14 @@ function BarEqualizer({ width, height }) {
       }
       
       // Request next frame
-      requestAnimationFrame(draw);
+      frameRef.current = requestAnimationFrame(draw);
     }
     
     // Start drawing
     draw();
     
-    // No cleanup needed since canvas is managed by React
+    // Stop this loop before the effect starts a new one
+    return () => cancelAnimationFrame(frameRef.current);
   }, [width, height, isPlaying, getFrequencyData, theme]);
   
   return (
@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useContext } from 'react';
 import * as THREE from 'three';
 import { AudioContext } from '../../context/AudioContext';
 import { ThemeContext } from '../../context/ThemeContext';
+import getPlaceholderFrame from '../../utils/placeholderFrame';
 
 /**
  * Particle System Visualization Component
@@ -127,11 +128,10 @@ function ParticleSystem({ width, height }) {
         // Get audio characteristics (bass, mid, treble, volume)
         const { bass, mid, treble, volume } = getAudioCharacteristics();
         
-        // Use synth data if no real data
-        const b = audioData.length > 0 ? bass : Math.abs(Math.sin(Date.now() / 1000)) * 0.5;
-        const m = audioData.length > 0 ? mid : Math.abs(Math.sin(Date.now() / 800)) * 0.5;
-        const t = audioData.length > 0 ? treble : Math.abs(Math.sin(Date.now() / 600)) * 0.5;
-        const v = audioData.length > 0 ? volume : Math.abs(Math.sin(Date.now() / 500)) * 0.8;
+        // Use real data, or the shared placeholder signal until frames arrive
+        const { bass: b, mid: m, treble: t, volume: v } = audioData.length > 0
+          ? { bass, mid, treble, volume }
+          : getPlaceholderFrame();
         
         // Adjust particles based on audio
         const positions = particlesRef.current.geometry.attributes.position.array;
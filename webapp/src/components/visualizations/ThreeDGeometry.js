@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useContext } from 'react';
 import * as THREE from 'three';
 import { AudioContext } from '../../context/AudioContext';
 import { ThemeContext } from '../../context/ThemeContext';
+import getPlaceholderFrame from '../../utils/placeholderFrame';
 
 /**
  * 3D Geometry Visualization Component
@@ -135,11 +136,10 @@ function ThreeDGeometry({ width, height }) {
         // Get audio characteristics
         const { bass, mid, treble, volume } = getAudioCharacteristics();
         
-        // Use real or synthetic data
-        const b = frequencyData.length > 0 ? bass : Math.abs(Math.sin(Date.now() / 1000)) * 0.5;
-        const m = frequencyData.length > 0 ? mid : Math.abs(Math.sin(Date.now() / 800)) * 0.5;
-        const t = frequencyData.length > 0 ? treble : Math.abs(Math.sin(Date.now() / 600)) * 0.5;
-        const v = frequencyData.length > 0 ? volume : Math.abs(Math.sin(Date.now() / 500)) * 0.8;
+        // Use real data, or the shared placeholder signal until frames arrive
+        const { bass: b, mid: m, treble: t, volume: v } = frequencyData.length > 0
+          ? { bass, mid, treble, volume }
+          : getPlaceholderFrame();
         
         // Apply transformations to shapes based on audio
         
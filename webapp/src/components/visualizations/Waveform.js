@@ -1,6 +1,7 @@
 import React, { useRef, useEffect, useContext } from 'react';
 import { AudioContext } from '../../context/AudioContext';
 import { ThemeContext } from '../../context/ThemeContext';
+import getPlaceholderFrame from '../../utils/placeholderFrame';
 
 /**
  * Waveform Visualization Component
@@ -9,6 +10,7 @@ import { ThemeContext } from '../../context/ThemeContext';
  */
 function Waveform({ width, height }) {
   const canvasRef = useRef(null);
+  const frameRef = useRef(null);
   const { isPlaying, getTimeData, getFrequencyData } = useContext(AudioContext);
   const { theme } = useContext(ThemeContext);
   
@@ -51,96 +53,55 @@ function Waveform({ width, height }) {
           }
         }
         
-        // ALWAYS draw something, even if we don't have real data
-        if (timeData && timeData.length > 0) {
-          // Draw waveform
-          ctx.lineWidth = 2;
-          ctx.strokeStyle = theme.primary;
-          ctx.beginPath();
-          
-          const sliceWidth = width / timeData.length;
-          let x = 0;
-          
-          for (let i = 0; i < timeData.length; i++) {
-            const v = timeData[i] / 128.0;
-            const y = v * height / 2;
-            
-            if (i === 0) {
-              ctx.moveTo(x, y);
-            } else {
-              ctx.lineTo(x, y);
-            }
-            
-            x += sliceWidth;
-          }
-          
-          ctx.lineTo(width, height / 2);
-          ctx.stroke();
-          
-          // Also draw a frequency spectrum
-          const freqData = getFrequencyData();
-          if (freqData && freqData.length > 0) {
-            ctx.beginPath();
-            ctx.strokeStyle = theme.secondary;
-            ctx.lineWidth = 1;
-            
-            const freqSliceWidth = width / freqData.length;
-            x = 0;
-            
-            for (let i = 0; i < freqData.length; i++) {
-              // Scale frequency data to fit in lower half of canvas
-              const y = height - (freqData[i] / 255.0) * (height / 2);
-              
-              if (i === 0) {
-                ctx.moveTo(x, y);
-              } else {
-                ctx.lineTo(x, y);
-              }
-              
-              x += freqSliceWidth;
-            }
-            
-            ctx.stroke();
-          }
-        } else {
-          // Draw a fallback sine wave if no real data
-          const now = Date.now() / 1000; // Convert to seconds
-          ctx.lineWidth = 2;
-          ctx.strokeStyle = theme.primary;
-          ctx.beginPath();
+        // Draw the shared placeholder signal until real frames arrive
+        const placeholder = timeData && timeData.length > 0 ? null : getPlaceholderFrame();
+        const waveData = placeholder ? placeholder.timeData : timeData;
+        
+        // Draw waveform
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = theme.primary;
+        ctx.beginPath();
+        
+        const sliceWidth = width / waveData.length;
+        let x = 0;
+        
+        for (let i = 0; i < waveData.length; i++) {
+          const v = waveData[i] / 128.0;
+          const y = v * height / 2;
           
-          for (let x = 0; x < width; x++) {
-            const t = x / width; // Normalize x to 0-1
-            // Multiple sine waves at different frequencies
-            const y = height / 2 + 
-                    Math.sin(2 * Math.PI * (t * 2 + now)) * height / 4 +
-                    Math.sin(2 * Math.PI * (t * 5 + now * 1.1)) * height / 16;
-            
-            if (x === 0) {
-              ctx.moveTo(x, y);
-            } else {
-              ctx.lineTo(x, y);
-            }
+          if (i === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
           }
           
-          ctx.stroke();
-          
-          // Also draw a fake frequency spectrum
+          x += sliceWidth;
+        }
+        
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+        
+        // Also draw a frequency spectrum
+        const freqData = placeholder ? placeholder.frequencyData : getFrequencyData();
+        if (freqData && freqData.length > 0) {
           ctx.beginPath();
           ctx.strokeStyle = theme.secondary;
           ctx.lineWidth = 1;
           
-          for (let x = 0; x < width; x++) {
-            const t = x / width; // Normalize x to 0-1
-            // Higher values for lower frequencies, declining towards higher frequencies
-            const value = Math.max(0, 1 - t) * 0.8 + 0.2 * Math.sin(t * 10 + now * 2);
-            const y = height - value * height / 2;
+          const freqSliceWidth = width / freqData.length;
+          x = 0;
+          
+          for (let i = 0; i < freqData.length; i++) {
+            // Scale frequency data to fit in lower half of canvas
+            const y = height - (freqData[i] / 255.0) * (height / 2);
             
-            if (x === 0) {
+            if (i === 0) {
               ctx.moveTo(x, y);
             } else {
               ctx.lineTo(x, y);
             }
+            
+            x += freqSliceWidth;
           }
           
           ctx.stroke();
@@ -154,16 +115,14 @@ function Waveform({ width, height }) {
       }
       
       // Request next frame
-      requestAnimationFrame(draw);
+      frameRef.current = requestAnimationFrame(draw);
     }
     
     // Start drawing
     draw();
     
-    // Cleanup on unmount
-    return () => {
-      // No need to cancel animation frame explicitly as component will be unmounted
-    };
+    // Stop this loop before the effect starts a new one
+    return () => cancelAnimationFrame(frameRef.current);
   }, [width, height, isPlaying, getTimeData, getFrequencyData, theme]);
   
   return (
@@ -1,33 +1,133 @@
-import React, { createContext, useState, useRef, useEffect } from 'react';
-import extensionBridge from '../utils/extensionBridge';
+import React, { createContext, useState, useRef, useEffect, useCallback, useContext, useSyncExternalStore } from 'react';
+import extensionBridge, { CONNECTION_STATES } from '../utils/extensionBridge';
+import FrameBuffer from '../utils/frameBuffer';
+import FrameStore from '../utils/frameStore';
+import SessionRecorder from '../utils/sessionRecorder';
+import { getAudioCharacteristics as computeAudioCharacteristics } from '../utils/audioFeatures';
+import { normalizeFrame } from '../utils/frameNormalizer';
+import {
+  createAudioSources,
+  applyAnalyserConfig,
+  SOURCE_IDS,
+  SOURCE_STATUS,
+  SOURCE_CAPABILITIES
+} from '../sources';
 
 // Create Audio Context
 export const AudioContext = createContext();
 
+// Analyser settings requested from the extension until a component changes them
+const DEFAULT_ANALYSER_CONFIG = {
+  fftSize: 2048,
+  smoothing: 0.8,
+  minDecibels: -100,
+  maxDecibels: -30,
+  extended: false
+};
+
+// Audio data before any frame arrived or after capture stopped
+const EMPTY_AUDIO_DATA = {
+  frequencyData: new Uint8Array(),
+  timeData: new Uint8Array(),
+  bass: 0,
+  mid: 0,
+  treble: 0,
+  volume: 0,
+  sourceLevels: {},
+  left: null,
+  right: null
+};
+
+// Longest the jitter buffer holds frames back before rendering them, in ms
+const MAX_BUFFER_DELAY = 250;
+
+// How often UI subscribed with useAudioFrame re-renders by default, in ms
+const DEFAULT_FRAME_SUBSCRIPTION_INTERVAL = 250;
+
+// Largest audio/visual offset the user can calibrate, in ms
+const MAX_AV_OFFSET = 1000;
+
+// localStorage key remembering the calibrated audio/visual offset
+const AV_OFFSET_STORAGE_KEY = 'darnviz.avOffset';
+
+// localStorage key remembering the last used audio source
+const SOURCE_STORAGE_KEY = 'darnviz.audioSource';
+
+// Read the last used audio source, the extension if none was saved
+function loadSourceId() {
+  try {
+    return window.localStorage.getItem(SOURCE_STORAGE_KEY) || SOURCE_IDS.EXTENSION;
+  } catch (error) {
+    return SOURCE_IDS.EXTENSION;
+  }
+}
+
+// Read the saved audio/visual offset, 0 if none was saved
+function loadAvOffset() {
+  try {
+    const saved = Number(window.localStorage.getItem(AV_OFFSET_STORAGE_KEY));
+    return Number.isFinite(saved) ? Math.max(0, Math.min(MAX_AV_OFFSET, saved)) : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
 /**
  * Audio Provider Component
  * 
  * Provides audio processing functionality to all components.
- * Handles interaction with the extension for audio data.
+ * Frames come from one AudioSource at a time (the extension, the demo, a
+ * microphone or line-in input, an audio file or a recorded session, see
+ * src/sources), picked with selectSource and remembered for the next
+ * visit. All sources produce frames of the same shape. What arrives from
+ * the extension can be recorded into a session file with startRecording.
  */
 function AudioProvider({ children }) {
   // State variables
   const [isPlaying, setIsPlaying] = useState(false);
   const [extensionConnected, setExtensionConnected] = useState(false);
-  const [captureError, setCaptureError] = useState(null);
-  const [audioData, setAudioData] = useState({
-    frequencyData: new Uint8Array(),
-    timeData: new Uint8Array(),
-    bass: 0,
-    mid: 0,
-    treble: 0,
-    volume: 0
+  // Connection state from the extension bridge, see CONNECTION_STATES
+  const [connection, setConnection] = useState({
+    state: extensionBridge.getConnectionState(),
+    hasConnected: false
   });
+  // Set when the installed extension speaks a protocol version that's too old
+  const [extensionIncompatibility, setExtensionIncompatibility] = useState(null);
+  // Capabilities negotiated with the extension, see CAPABILITIES in extension/protocol.js
+  const [capabilities, setCapabilities] = useState([]);
+  const [captureError, setCaptureError] = useState(null);
+  // IDs and labels of the available audio sources, for the source switcher
+  const [sources, setSources] = useState([]);
+  // Active audio source and its state, see SOURCE_STATUS for state.status
+  const [sourceId, setSourceId] = useState(null);
+  const [sourceState, setSourceState] = useState({ status: SOURCE_STATUS.STOPPED });
+  // Transport latency, jitter and round trip time measured by the extension bridge
+  const [latency, setLatency] = useState(null);
+  // Extra delay for visuals so they line up with slow audio outputs such as Bluetooth speakers
+  const [avOffset, setAvOffsetState] = useState(loadAvOffset);
+  // Effective analyser settings of the active source, including bin count and sample rate
+  const [analyserConfig, setEffectiveAnalyserConfig] = useState(null);
+  // Frames as they arrived, kept outside React state so frames don't
+  // re-render the app; see useAudioFrame for UI that shows frame values
+  const [frameStore] = useState(() => new FrameStore());
+  // Records what arrives from the extension into a session file for replay
+  const [sessionRecorder] = useState(() => new SessionRecorder(extensionBridge));
+  const [recording, setRecording] = useState(false);
   
   // Refs
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
   const frameIdRef = useRef(null);
+  const isPlayingRef = useRef(false);
+  const requestedAnalyserConfigRef = useRef(DEFAULT_ANALYSER_CONFIG);
+  const analyserConfigRef = useRef(null); // Effective config, for the sample rate and floor of incoming frames
+  const avOffsetRef = useRef(avOffset);
+  const latencyRef = useRef(null);
+  const frameBufferRef = useRef(new FrameBuffer());
+  const currentFrameRef = useRef(EMPTY_AUDIO_DATA); // Frame sampled for the current display frame
+  const sourcesRef = useRef([]);
+  const activeSourceRef = useRef(null);
+  const sourceListenersRef = useRef([]); // Functions removing our listeners from the active source
   
   // Initialize Web Audio API resources and extension connection
   useEffect(() => {
@@ -39,8 +139,7 @@ function AudioProvider({ children }) {
       analyserRef.current = audioContextRef.current.createAnalyser();
       
       // Configure analyser
-      analyserRef.current.fftSize = 2048;
-      analyserRef.current.smoothingTimeConstant = 0.8;
+      applyAnalyserConfig(analyserRef.current, requestedAnalyserConfigRef.current);
       
       console.log('Web Audio API initialized');
     } catch (error) {
@@ -48,24 +147,52 @@ function AudioProvider({ children }) {
       setCaptureError('Failed to initialize Web Audio API: ' + error.message);
     }
     
+    // Browsers keep the audio context suspended until the user interacts,
+    // which silences a restored input source until then
+    const resumeAudioContext = () => {
+      if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
+        audioContextRef.current.resume();
+      }
+    };
+    window.addEventListener('pointerdown', resumeAudioContext);
+    window.addEventListener('keydown', resumeAudioContext);
+    
     // Set up extension bridge listeners
     const connectedListener = extensionBridge.addListener('connected', handleExtensionConnected);
-    const captureStatusListener = extensionBridge.addListener('captureStatus', handleCaptureStatus);
-    const audioDataListener = extensionBridge.addListener('audioData', handleAudioData);
-    const errorListener = extensionBridge.addListener('error', handleError);
+    const disconnectedListener = extensionBridge.addListener('disconnected', handleExtensionDisconnected);
+    const incompatibleListener = extensionBridge.addListener('incompatible', setExtensionIncompatibility);
+    const connectionStateListener = extensionBridge.addListener('connectionState', setConnection);
+    const latencyListener = extensionBridge.addListener('latency', handleLatency);
+    
+    // Create the audio sources and start the one used last time
+    const audioSources = createAudioSources(analyserRef.current && {
+      audioContext: audioContextRef.current,
+      analyser: analyserRef.current
+    });
+    audioSources.forEach(source => source.setAnalyserConfig(requestedAnalyserConfigRef.current));
+    sourcesRef.current = audioSources;
+    setSources(audioSources.map(source => ({ id: source.id, label: source.label })));
+    
+    const savedSourceId = loadSourceId();
+    selectSource(audioSources.some(source => source.id === savedSourceId) ? savedSourceId : SOURCE_IDS.EXTENSION);
     
     // Clean up function
     return () => {
       // Remove extension bridge listeners
       connectedListener();
-      captureStatusListener();
-      audioDataListener();
-      errorListener();
+      disconnectedListener();
+      incompatibleListener();
+      connectionStateListener();
+      latencyListener();
+      window.removeEventListener('pointerdown', resumeAudioContext);
+      window.removeEventListener('keydown', resumeAudioContext);
       
-      // Clean up animation frame
-      if (frameIdRef.current) {
-        cancelAnimationFrame(frameIdRef.current);
-      }
+      // Drop an unfinished recording
+      sessionRecorder.stop();
+      
+      // Stop the active source and release everything the sources hold
+      sourceListenersRef.current.forEach(removeListener => removeListener());
+      sourcesRef.current.forEach(source => source.dispose());
       
       // Close audio context
       if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
@@ -76,113 +203,165 @@ function AudioProvider({ children }) {
     };
   }, []);
   
+  // Sample the jitter buffer once per display frame while audio is playing
+  useEffect(() => {
+    if (!isPlaying) {
+      currentFrameRef.current = EMPTY_AUDIO_DATA;
+      return undefined;
+    }
+    
+    const render = () => {
+      // Render far enough behind the newest frame to have one on either side,
+      // or further back if the user calibrated a larger A/V offset
+      const delay = Math.max(avOffsetRef.current, getBufferDelay());
+      const frame = frameBufferRef.current.sample(Date.now() - delay);
+      if (frame) {
+        currentFrameRef.current = frame;
+      }
+      frameIdRef.current = requestAnimationFrame(render);
+    };
+    render();
+    
+    return () => cancelAnimationFrame(frameIdRef.current);
+  }, [isPlaying]);
+  
+  // How far behind real time the jitter buffer renders: one frame interval
+  // plus headroom for the jitter measured on remote sources' connections
+  const getBufferDelay = () => {
+    const source = activeSourceRef.current;
+    const isRemote = source && source.hasCapability(SOURCE_CAPABILITIES.REMOTE);
+    const jitter = isRemote && latencyRef.current ? latencyRef.current.jitter : 0;
+    return Math.min(MAX_BUFFER_DELAY, frameBufferRef.current.getFrameInterval() + 2 * jitter);
+  };
+  
   // Handle extension connection
   const handleExtensionConnected = (data) => {
     console.log(`Extension connected (version ${data.version})`);
     setExtensionConnected(true);
+    setExtensionIncompatibility(null);
+    setCapabilities(data.capabilities);
     setCaptureError(null);
   };
   
-  // Handle capture status updates
-  const handleCaptureStatus = (data) => {
-    console.log(`Capture status updated:`, data);
-    setIsPlaying(data.isCapturing);
-    
-    if (!data.isCapturing) {
-      // Reset audio data when capture stops
-      setAudioData({
-        frequencyData: new Uint8Array(),
-        timeData: new Uint8Array(),
-        bass: 0,
-        mid: 0,
-        treble: 0,
-        volume: 0
-      });
+  // Handle losing the connection to the extension
+  const handleExtensionDisconnected = () => {
+    console.log('Extension disconnected');
+    setExtensionConnected(false);
+  };
+  
+  // Make a source the active one, stopping the previous source
+  const switchSource = (source) => {
+    sourceListenersRef.current.forEach(removeListener => removeListener());
+    if (activeSourceRef.current) {
+      activeSourceRef.current.stop();
     }
     
-    // Set demo mode flag if provided
-    if (data.demoMode !== undefined) {
-      console.log(`Demo mode: ${data.demoMode ? 'ENABLED' : 'DISABLED'}`);
+    activeSourceRef.current = source;
+    sourceListenersRef.current = [
+      source.addListener('frame', addFrame),
+      source.addListener('state', handleSourceState),
+      source.addListener('analyserConfig', handleAnalyserConfig),
+      source.addListener('error', handleError)
+    ];
+    
+    setSourceId(source.id);
+    setCaptureError(null);
+    handleAnalyserConfig(source.getAnalyserConfig());
+    handleSourceState(source.getState());
+    
+    try {
+      window.localStorage.setItem(SOURCE_STORAGE_KEY, source.id);
+    } catch (error) {
+      console.warn('Could not save audio source:', error.message);
     }
   };
   
-  // Handle incoming audio data
-  const handleAudioData = (data) => {
-    // Log more detailed information about the received data
-    if (Date.now() % 3000 < 50) { // Every ~3 seconds
-      console.log(`AudioContext received data:`, {
-        'frequencyDataLength': data.frequencyData ? data.frequencyData.length : 'None',
-        'timeDataLength': data.timeData ? data.timeData.length : 'None', 
-        'timestamp': data.timestamp,
-        'hasData': data.frequencyData && data.frequencyData.length > 0 && data.timeData && data.timeData.length > 0
-      });
-      
-      // Additional debug: Check if data arrays contain actual values
-      if (data.frequencyData && data.frequencyData.length > 0) {
-        const sum = data.frequencyData.reduce((a, b) => a + b, 0);
-        console.log(`Frequency data sum: ${sum} (average: ${sum / data.frequencyData.length})`);
-      }
+  // Switch to an audio source and start it. Selecting the active source
+  // again passes new options to it, e.g. another file or input device
+  const selectSource = (id, options) => {
+    const source = sourcesRef.current.find(candidate => candidate.id === id);
+    if (!source) {
+      console.warn(`Unknown audio source ${id}`);
+      return Promise.resolve(false);
     }
     
-    // Process audio data for visualization
-    const { frequencyData, timeData } = data;
+    if (source !== activeSourceRef.current) {
+      console.log(`Switching audio source to ${id}`);
+      switchSource(source);
+    }
     
-    // Ensure we have valid data to work with
-    if (!frequencyData || !timeData || frequencyData.length === 0 || timeData.length === 0) {
-      console.warn('Received empty or invalid audio data');
+    return source.start(options);
+  };
+  
+  // Follow the active source's state; only an active source delivers frames
+  const handleSourceState = (state) => {
+    setSourceState(state);
+    
+    const isActive = state.status === SOURCE_STATUS.ACTIVE;
+    updateIsPlaying(isActive);
+    
+    if (!isActive) {
+      // Reset audio data, dropping frames still waiting to be shown
+      frameBufferRef.current.clear();
+      frameStore.clear();
+    }
+  };
+  
+  // Turn raw frequency and time data from any source into a frame and
+  // queue it for rendering
+  const addFrame = (data) => {
+    // Validate the frame and resample it to the canonical bins, so bin i
+    // is the same frequency whatever the source's FFT size and sample rate
+    const config = analyserConfigRef.current;
+    const normalized = normalizeFrame(data, config && config.sampleRate, config && config.minDecibels);
+    if (!normalized) {
       return; // Don't update state with invalid data
     }
     
-    // Convert array data to TypedArrays for efficiency
-    const freqArray = new Uint8Array(frequencyData);
-    const timeArray = new Uint8Array(timeData);
-    
-    // Calculate audio characteristics
-    const bass = calculateFrequencyRange(freqArray, 0, Math.floor(freqArray.length * 0.1));
-    const mid = calculateFrequencyRange(freqArray, Math.floor(freqArray.length * 0.1), Math.floor(freqArray.length * 0.5));
-    const treble = calculateFrequencyRange(freqArray, Math.floor(freqArray.length * 0.5), freqArray.length - 1);
-    const volume = calculateVolume(timeArray);
-    
-    // Update audio data state and set isPlaying to true since we're receiving data
-    setIsPlaying(true);
-    setAudioData({
-      frequencyData: freqArray,
-      timeData: timeArray,
-      bass,
-      mid,
-      treble,
-      volume
-    });
+    const { frequencyData, timeData, channels } = normalized;
+    const frame = {
+      capturedAt: data.capturedAt !== undefined ? data.capturedAt : Date.now(),
+      frequencyData,
+      timeData,
+      // Bass, mid, treble and volume
+      ...computeAudioCharacteristics(frequencyData, timeData),
+      // Level per captured tab (keyed by tab ID) when several tabs are mixed
+      sourceLevels: data.sourceLevels || {},
+      // Float dB spectrum and -1 to 1 waveform per channel, only when
+      // extended frames were requested through setAnalyserConfig
+      left: channels ? channels.left : null,
+      right: channels ? channels.right : null
+    };
+    
+    // Queue the frame for interpolated rendering and publish it to
+    // subscribers; neither touches React state, so frames cause no renders
+    frameBufferRef.current.push(frame);
+    frameStore.push(frame);
   };
   
-  // Handle errors from the extension
-  const handleError = (error) => {
-    console.error('Extension error:', error);
-    setCaptureError(error.message);
+  // Set isPlaying, skipping the state update when it wouldn't change
+  const updateIsPlaying = (playing) => {
+    if (isPlayingRef.current === playing) return;
+    isPlayingRef.current = playing;
+    setIsPlaying(playing);
   };
   
-  // Calculate average value for a frequency range
-  const calculateFrequencyRange = (freqData, startIndex, endIndex) => {
-    if (!freqData || freqData.length === 0) return 0;
-    
-    let sum = 0;
-    for (let i = startIndex; i < endIndex; i++) {
-      sum += freqData[i];
-    }
-    return sum / (endIndex - startIndex) / 255; // Normalize to 0-1
+  // Keep latency measurements for the jitter buffer and for display
+  const handleLatency = (stats) => {
+    latencyRef.current = stats;
+    setLatency(stats);
   };
   
-  // Calculate audio volume from time domain data
-  const calculateVolume = (timeData) => {
-    if (!timeData || timeData.length === 0) return 0;
-    
-    let sum = 0;
-    for (let i = 0; i < timeData.length; i++) {
-      const value = (timeData[i] - 128) / 128; // Convert to -1 to 1 range
-      sum += value * value; // Square for RMS
-    }
-    const rms = Math.sqrt(sum / timeData.length);
-    return Math.min(1, rms * 4); // Scale for better visualization
+  // Keep the active source's effective analyser settings
+  const handleAnalyserConfig = (config) => {
+    analyserConfigRef.current = config;
+    setEffectiveAnalyserConfig(config);
+  };
+  
+  // Handle errors reported by the active source
+  const handleError = (message) => {
+    console.error('Audio source error:', message);
+    setCaptureError(message);
   };
   
   // Start audio capture
@@ -210,37 +389,127 @@ function AudioProvider({ children }) {
     return extensionBridge.stopCapture();
   };
   
-  // Get current frequency data
-  const getFrequencyData = () => {
-    return audioData.frequencyData;
+  // Start recording extension frames and capture status into a session
+  const startRecording = () => {
+    const started = sessionRecorder.start();
+    if (started) {
+      setRecording(true);
+    }
+    return started;
   };
   
-  // Get current time domain data
-  const getTimeData = () => {
-    return audioData.timeData;
+  // Stop recording and get the session file, null if nothing was recorded
+  const stopRecording = () => {
+    const session = sessionRecorder.stop();
+    setRecording(false);
+    return session;
+  };
+  
+  // Set how long visuals are delayed (ms) to match the audio output's latency
+  const setAvOffset = (offset) => {
+    const clamped = Math.max(0, Math.min(MAX_AV_OFFSET, Number(offset) || 0));
+    avOffsetRef.current = clamped;
+    setAvOffsetState(clamped);
+    
+    try {
+      window.localStorage.setItem(AV_OFFSET_STORAGE_KEY, String(clamped));
+    } catch (error) {
+      console.warn('Could not save A/V offset:', error.message);
+    }
+  };
+  
+  // Change FFT size, smoothing or decibel range of every source's analyser.
+  // Values are applied live; the effective settings arrive as analyserConfig
+  const setAnalyserConfig = (config) => {
+    const requested = { ...requestedAnalyserConfigRef.current, ...config };
+    requestedAnalyserConfigRef.current = requested;
+    
+    sourcesRef.current.forEach(source => source.setAnalyserConfig(requested));
+    return true;
   };
   
+  // Check whether the active source offers a feature, see SOURCE_CAPABILITIES
+  const hasSourceCapability = (capability) => {
+    return Boolean(activeSourceRef.current && activeSourceRef.current.hasCapability(capability));
+  };
+  
+  // Getters return the interpolated frame for the current display frame.
+  // They read refs, so they stay the same functions across renders and
+  // animation loops that depend on them don't restart with every frame
+  
+  // Get current frequency data, in the canonical bins of utils/frameNormalizer
+  const getFrequencyData = useCallback(() => {
+    return currentFrameRef.current.frequencyData;
+  }, []);
+  
+  // Get current time domain data
+  const getTimeData = useCallback(() => {
+    return currentFrameRef.current.timeData;
+  }, []);
+  
   // Get current audio characteristics
-  const getAudioCharacteristics = () => {
+  const getAudioCharacteristics = useCallback(() => {
+    const frame = currentFrameRef.current;
     return {
-      bass: audioData.bass,
-      mid: audioData.mid, 
-      treble: audioData.treble,
-      volume: audioData.volume
+      bass: frame.bass,
+      mid: frame.mid,
+      treble: frame.treble,
+      volume: frame.volume
     };
-  };
+  }, []);
+  
+  // Get current float data of each channel, null unless extended frames are on
+  const getChannelData = useCallback(() => {
+    return {
+      left: currentFrameRef.current.left,
+      right: currentFrameRef.current.right
+    };
+  }, []);
+  
+  // Get current level of each mixed source
+  const getSourceLevels = useCallback(() => {
+    return currentFrameRef.current.sourceLevels;
+  }, []);
   
   // Context value object
   const contextValue = {
     isPlaying,
     extensionConnected,
+    connectionState: connection.state,
+    // The extension was reachable earlier but went away, e.g. it was reloaded
+    connectionLost: connection.hasConnected && connection.state === CONNECTION_STATES.DISCONNECTED,
+    extensionIncompatibility,
+    capabilities,
     captureError,
+    // The source is running but delivers no frames, e.g. a muted captured tab
+    capturePaused: sourceState.status === SOURCE_STATUS.PAUSED,
+    captureReason: sourceState.reason || null,
     startCapture,
     stopCapture,
+    sources,
+    sourceId,
+    sourceState,
+    // Active AudioSource, for source specific controls such as file transport
+    audioSource: activeSourceRef.current,
+    selectSource,
+    hasSourceCapability,
+    latency,
+    avOffset,
+    maxAvOffset: MAX_AV_OFFSET,
+    setAvOffset,
+    analyserConfig,
+    setAnalyserConfig,
     getFrequencyData,
     getTimeData,
     getAudioCharacteristics,
-    audioData
+    getChannelData,
+    getSourceLevels,
+    frameStore,
+    recording,
+    startRecording,
+    stopRecording,
+    // Duration and frame count of the recording in progress
+    sessionRecorder
   };
   
   return (
@@ -250,4 +519,23 @@ function AudioProvider({ children }) {
   );
 }
 
+/**
+ * Subscribe a component to the newest audio frame at a low rate
+ *
+ * For UI that shows frame values such as levels or meters. Render loops
+ * should call the AudioContext getters from requestAnimationFrame instead,
+ * which never re-renders.
+ * @param {number} interval - Minimum time between re-renders in ms
+ * @returns {Object|null} Newest frame, or null before the first one
+ */
+export function useAudioFrame(interval = DEFAULT_FRAME_SUBSCRIPTION_INTERVAL) {
+  const { frameStore } = useContext(AudioContext);
+  const subscribe = useCallback(
+    (onChange) => frameStore.subscribe(onChange, interval),
+    [frameStore, interval]
+  );
+  
+  return useSyncExternalStore(subscribe, frameStore.getLatest);
+}
+
 export default AudioProvider;
@@ -0,0 +1,211 @@
+/**
+ * States of an audio source
+ *
+ * stopped until the source is started. A started source is waiting until
+ * it has audio to deliver (no tab captured yet, no file opened, input
+ * being opened), active while it delivers frames and paused when it is
+ * running but temporarily delivers none.
+ */
+export const SOURCE_STATUS = {
+  STOPPED: 'stopped',
+  WAITING: 'waiting',
+  ACTIVE: 'active',
+  PAUSED: 'paused'
+};
+
+// IDs of the built-in sources, also remembered as the last used source
+export const SOURCE_IDS = {
+  EXTENSION: 'extension',
+  DEMO: 'demo',
+  INPUT: 'input',
+  FILE: 'file',
+  RECORDING: 'recording'
+};
+
+// Optional features a source can offer on top of delivering frames
+export const SOURCE_CAPABILITIES = {
+  REMOTE: 'remote',                 // Frames arrive over a connection with latency and jitter
+  MONITOR: 'monitor',               // Playback volume and mute of the source audio
+  SOURCE_LEVELS: 'sourceLevels',    // Levels of several mixed sources per frame
+  STEREO: 'stereo',                 // Left and right channel data in extended frames
+  DEVICE_SELECTION: 'deviceSelection', // Choice between several input devices
+  TRANSPORT: 'transport'            // Play, pause, seek and loop
+};
+
+/**
+ * AudioSource - Base class of everything that delivers audio frames
+ *
+ * A source is started and stopped by AudioProvider and reports what it is
+ * doing through events:
+ * - frame: raw frame with frequencyData and timeData (0-255 byte values),
+ *   timestamp and capturedAt in ms, and optional sourceLevels and channels
+ * - state: the object returned by getState, whenever it changes
+ * - analyserConfig: effective analyser settings of the frames
+ * - error: message to show the user
+ *
+ * Subclasses implement start and stop, keep their state with setState and
+ * announce what else they offer with SOURCE_CAPABILITIES.
+ */
+class AudioSource {
+  /**
+   * @param {string} id - Identifier the source is selected and remembered by
+   * @param {string} label - Name shown in the source switcher
+   * @param {Array<string>} capabilities - SOURCE_CAPABILITIES the source offers
+   */
+  constructor(id, label, capabilities = []) {
+    this.id = id;
+    this.label = label;
+    this.capabilities = capabilities;
+    this.listeners = new Map();
+    this.state = { status: SOURCE_STATUS.STOPPED };
+  }
+
+  /**
+   * Start delivering frames
+   * @param {Object} options - Source specific options
+   * @returns {Promise<boolean>} Whether the source started
+   */
+  async start() {
+    throw new Error(`${this.constructor.name} does not implement start`);
+  }
+
+  /**
+   * Stop delivering frames and release what the source holds
+   */
+  stop() {
+    this.setState({ status: SOURCE_STATUS.STOPPED });
+  }
+
+  /**
+   * Get the source's status and source specific details
+   * @returns {Object} State with status (SOURCE_STATUS) and details
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get the source's status
+   * @returns {string} One of SOURCE_STATUS
+   */
+  getStatus() {
+    return this.state.status;
+  }
+
+  /**
+   * Check whether the source was started and not stopped since
+   * @returns {boolean} Whether the source is running
+   */
+  isRunning() {
+    return this.state.status !== SOURCE_STATUS.STOPPED;
+  }
+
+  /**
+   * Get the features the source offers
+   * @returns {Array<string>} SOURCE_CAPABILITIES values
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+
+  /**
+   * Check whether the source offers a feature
+   * @param {string} capability - One of SOURCE_CAPABILITIES
+   * @returns {boolean} Whether the feature is offered
+   */
+  hasCapability(capability) {
+    return this.getCapabilities().includes(capability);
+  }
+
+  /**
+   * Apply analyser settings requested by the web app
+   * @param {Object} config - fftSize, smoothing, minDecibels, maxDecibels and extended
+   */
+  setAnalyserConfig() {
+    // Sources with fixed frames ignore the request
+  }
+
+  /**
+   * Get the effective analyser settings of the frames
+   * @returns {Object|null} Analyser config, or null if not known yet
+   */
+  getAnalyserConfig() {
+    return null;
+  }
+
+  /**
+   * Merge changes into the state and notify listeners
+   * @param {Object} changes - Changed state fields
+   */
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.notifyListeners('state', this.state);
+  }
+
+  /**
+   * Deliver a frame to listeners
+   * @param {Object} frame - Raw frame, see the class description
+   */
+  emitFrame(frame) {
+    this.notifyListeners('frame', frame);
+  }
+
+  /**
+   * Report an error to listeners
+   * @param {string} message - Message to show the user
+   */
+  emitError(message) {
+    this.notifyListeners('error', message);
+  }
+
+  /**
+   * Add a listener for a specific event type
+   * @param {string} type - Event type to listen for
+   * @param {Function} callback - Callback function to be called when event occurs
+   * @returns {Function} Function to remove the listener
+   */
+  addListener(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+
+    this.listeners.get(type).add(callback);
+
+    return () => {
+      const typeListeners = this.listeners.get(type);
+      if (typeListeners) {
+        typeListeners.delete(callback);
+      }
+    };
+  }
+
+  /**
+   * Notify all listeners of a specific event type
+   * @param {string} type - Event type
+   * @param {*} data - Event data
+   */
+  notifyListeners(type, data) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${this.id} source listener for ${type}:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Stop the source for good and remove all listeners
+   */
+  dispose() {
+    if (this.isRunning()) {
+      this.stop();
+    }
+    this.listeners.clear();
+  }
+}
+
+export default AudioSource;
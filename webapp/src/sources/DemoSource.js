@@ -0,0 +1,107 @@
+import darnvizSignals from '../../../extension/signals';
+import AudioSource, { SOURCE_IDS, SOURCE_STATUS } from './AudioSource';
+
+// Time between synthetic frames, matching the extension's frame rate
+const DEMO_FRAME_INTERVAL = 50;
+
+// Size and decibel range of the synthetic frames, the same as the extension's demo mode
+const DEMO_FRAME_FORMAT = darnvizSignals.FRAME_FORMAT;
+
+// Tempos the generator can be set to, in beats per minute
+export const TEMPO_RANGE = { min: 40, max: 240 };
+
+/**
+ * DemoSource - Synthetic frames generated in the web app
+ *
+ * Plays a program of the shared signal generator (extension/signals.js),
+ * like the extension's demo mode, without needing the extension, an input
+ * or a file. The state carries the program, tempo and level, which can be
+ * changed while the source runs.
+ */
+class DemoSource extends AudioSource {
+  constructor() {
+    super(SOURCE_IDS.DEMO, 'Demo', []);
+    this.generator = darnvizSignals.createSignalGenerator();
+    this.frameTimer = null;
+    this.startTime = 0;
+    this.state = { ...this.state, signal: this.generator.options };
+  }
+
+  /**
+   * Start generating frames
+   * @param {Object} options - Optional program, tempo and level, see setSignal
+   * @returns {Promise<boolean>} Always true
+   */
+  async start(options = {}) {
+    this.setSignal(options);
+
+    if (!this.frameTimer) {
+      this.startTime = Date.now();
+      this.frameTimer = setInterval(() => this.emitFrame(this.generateFrame()), DEMO_FRAME_INTERVAL);
+    }
+
+    this.setState({ status: SOURCE_STATUS.ACTIVE });
+    this.notifyListeners('analyserConfig', this.getAnalyserConfig());
+    return true;
+  }
+
+  /**
+   * Stop generating frames
+   */
+  stop() {
+    clearInterval(this.frameTimer);
+    this.frameTimer = null;
+    super.stop();
+  }
+
+  /**
+   * Change what the generator plays
+   * @param {Object} changes - program (one of the generator's PROGRAMS),
+   *   tempo in beats per minute (clamped to TEMPO_RANGE) and level from 0
+   *   to 1; missing fields are kept
+   */
+  setSignal(changes) {
+    const signal = {};
+    if (Object.values(darnvizSignals.PROGRAMS).includes(changes.program)) {
+      signal.program = changes.program;
+    }
+    if (changes.tempo !== undefined && changes.tempo !== '' && !Number.isNaN(Number(changes.tempo))) {
+      signal.tempo = Math.max(TEMPO_RANGE.min, Math.min(TEMPO_RANGE.max, Math.round(Number(changes.tempo))));
+    }
+    if (changes.level !== undefined && !Number.isNaN(Number(changes.level))) {
+      signal.level = Math.max(0, Math.min(1, Number(changes.level)));
+    }
+    if (Object.keys(signal).length === 0) return;
+
+    this.generator.setOptions(signal);
+    this.setState({ signal: this.generator.options });
+  }
+
+  /**
+   * Generate one synthetic frame for the current time
+   * @returns {Object} Frame with frequencyData, timeData, timestamp and capturedAt
+   */
+  generateFrame() {
+    const now = Date.now();
+    const { frequencyData, timeData } = this.generator.generateFrame((now - this.startTime) / 1000, DEMO_FRAME_FORMAT);
+    return { frequencyData, timeData, timestamp: now, capturedAt: now };
+  }
+
+  /**
+   * Get the settings the synthetic frames correspond to
+   * @returns {Object} Analyser config
+   */
+  getAnalyserConfig() {
+    return {
+      fftSize: DEMO_FRAME_FORMAT.fftSize,
+      smoothing: 0,
+      minDecibels: DEMO_FRAME_FORMAT.minDecibels,
+      maxDecibels: DEMO_FRAME_FORMAT.maxDecibels,
+      extended: false,
+      frequencyBinCount: DEMO_FRAME_FORMAT.fftSize / 2,
+      sampleRate: DEMO_FRAME_FORMAT.sampleRate
+    };
+  }
+}
+
+export default DemoSource;
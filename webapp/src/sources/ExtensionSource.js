@@ -0,0 +1,201 @@
+import darnvizProtocol from '../../../extension/protocol';
+import extensionBridge from '../utils/extensionBridge';
+import AudioSource, { SOURCE_IDS, SOURCE_STATUS, SOURCE_CAPABILITIES } from './AudioSource';
+
+const { CAPABILITIES } = darnvizProtocol;
+
+// Source capabilities that depend on what the connected extension negotiated
+const NEGOTIATED_CAPABILITIES = [
+  [CAPABILITIES.MONITOR, SOURCE_CAPABILITIES.MONITOR],
+  [CAPABILITIES.MULTI_SOURCE, SOURCE_CAPABILITIES.SOURCE_LEVELS],
+  [CAPABILITIES.STEREO, SOURCE_CAPABILITIES.STEREO]
+];
+
+/**
+ * Map an extension capture status to a source status
+ * @param {Object} capture - Object with isCapturing and paused
+ * @returns {string} One of SOURCE_STATUS
+ */
+export function getCaptureSourceStatus(capture) {
+  if (!capture.isCapturing) return SOURCE_STATUS.WAITING;
+  return capture.paused ? SOURCE_STATUS.PAUSED : SOURCE_STATUS.ACTIVE;
+}
+
+/**
+ * ExtensionSource - Tabs captured by the DarnViz extension
+ *
+ * Relays frames the extension bridge receives while the source is started.
+ * Capture itself is started and stopped from the extension's popup, so a
+ * started source waits until a tab is captured, and stopping the source
+ * leaves the capture running. Capture status, analyser settings and monitor
+ * playback are tracked even while the source is stopped, so they are
+ * current when it is selected. The state carries demoMode, the reason a
+ * capture is paused and the monitor volume and mute.
+ */
+class ExtensionSource extends AudioSource {
+  constructor() {
+    super(SOURCE_IDS.EXTENSION, 'Browser Tab', [SOURCE_CAPABILITIES.REMOTE]);
+    this.capture = { isCapturing: false, paused: false, reason: null, demoMode: false };
+    this.requestedAnalyserConfig = null;
+    this.state = { ...this.state, reason: null, demoMode: false, monitor: { volume: 1, muted: false } };
+
+    this.removeBridgeListeners = [
+      extensionBridge.addListener('connected', () => this.handleConnected()),
+      extensionBridge.addListener('captureStatus', (data) => this.handleCaptureStatus(data)),
+      extensionBridge.addListener('audioData', (data) => this.handleAudioData(data)),
+      extensionBridge.addListener('analyserConfig', (config) => this.handleAnalyserConfig(config)),
+      extensionBridge.addListener('monitorStatus', (monitor) => this.setState({ monitor })),
+      extensionBridge.addListener('error', (error) => this.handleError(error))
+    ];
+  }
+
+  /**
+   * Start relaying frames
+   * @returns {Promise<boolean>} Always true; without a capture the source waits
+   */
+  async start() {
+    this.setState({ status: this.getCaptureStatus() });
+    this.notifyListeners('analyserConfig', extensionBridge.getAnalyserConfig());
+    return true;
+  }
+
+  /**
+   * Ask the extension to stop capturing
+   * @returns {boolean} Whether the request was sent
+   */
+  stopCapture() {
+    return extensionBridge.stopCapture();
+  }
+
+  /**
+   * Set playback volume and mute of the captured audio
+   * @param {Object} monitor - Object with optional volume (0-1) and muted
+   * @returns {boolean} Whether the request was sent
+   */
+  setMonitor(monitor) {
+    return extensionBridge.setMonitor(monitor);
+  }
+
+  /**
+   * Send analyser settings to the extension, now and after every reconnect
+   * @param {Object} config - fftSize, smoothing, minDecibels, maxDecibels and extended
+   */
+  setAnalyserConfig(config) {
+    this.requestedAnalyserConfig = config;
+    if (extensionBridge.isConnected) {
+      extensionBridge.setAnalyserConfig(config);
+    }
+  }
+
+  /**
+   * Get the analyser settings last reported by the extension
+   * @returns {Object|null} Analyser config
+   */
+  getAnalyserConfig() {
+    return extensionBridge.getAnalyserConfig();
+  }
+
+  /**
+   * Get the source capabilities, including those the extension negotiated
+   * @returns {Array<string>} SOURCE_CAPABILITIES values
+   */
+  getCapabilities() {
+    return this.capabilities.concat(NEGOTIATED_CAPABILITIES
+      .filter(([protocolCapability]) => extensionBridge.hasCapability(protocolCapability))
+      .map(([, sourceCapability]) => sourceCapability));
+  }
+
+  /**
+   * Map the extension's capture status to a source status
+   * @returns {string} One of SOURCE_STATUS
+   */
+  getCaptureStatus() {
+    return getCaptureSourceStatus(this.capture);
+  }
+
+  /**
+   * Make the extension's analyser match what the web app last asked for
+   */
+  handleConnected() {
+    if (this.requestedAnalyserConfig) {
+      extensionBridge.setAnalyserConfig(this.requestedAnalyserConfig);
+    }
+  }
+
+  /**
+   * Track the extension's capture status
+   * @param {Object} data - isCapturing, paused, reason, demoMode and resumed
+   */
+  handleCaptureStatus(data) {
+    this.capture = {
+      isCapturing: data.isCapturing,
+      paused: data.isCapturing && data.paused,
+      reason: data.reason,
+      demoMode: data.demoMode !== undefined ? data.demoMode : this.capture.demoMode
+    };
+
+    if (data.demoMode !== undefined) {
+      console.log(`Demo mode: ${data.demoMode ? 'ENABLED' : 'DISABLED'}`);
+    }
+
+    // The extension restored a session after its service worker restarted
+    if (data.resumed) {
+      console.log('Capture session resumed by the extension');
+    }
+
+    const changes = { reason: this.capture.reason, demoMode: this.capture.demoMode };
+    if (this.isRunning()) {
+      changes.status = this.getCaptureStatus();
+    }
+    this.setState(changes);
+  }
+
+  /**
+   * Relay a frame while the source is started
+   * @param {Object} data - Frame from the extension bridge
+   */
+  handleAudioData(data) {
+    if (!this.isRunning()) return;
+
+    // Log more detailed information about the received data
+    if (Date.now() % 3000 < 50) { // Every ~3 seconds
+      console.log('Extension source received data:', {
+        'frequencyDataLength': data.frequencyData ? data.frequencyData.length : 'None',
+        'timeDataLength': data.timeData ? data.timeData.length : 'None',
+        'timestamp': data.timestamp
+      });
+    }
+
+    this.emitFrame(data);
+  }
+
+  /**
+   * Pass on the extension's effective analyser settings while started
+   * @param {Object} config - Analyser config
+   */
+  handleAnalyserConfig(config) {
+    if (this.isRunning()) {
+      this.notifyListeners('analyserConfig', config);
+    }
+  }
+
+  /**
+   * Pass on extension errors while started
+   * @param {Object} error - Object with type and message
+   */
+  handleError(error) {
+    if (this.isRunning()) {
+      this.emitError(error.message);
+    }
+  }
+
+  /**
+   * Stop listening to the extension bridge and dispose the source
+   */
+  dispose() {
+    this.removeBridgeListeners.forEach(removeListener => removeListener());
+    super.dispose();
+  }
+}
+
+export default ExtensionSource;
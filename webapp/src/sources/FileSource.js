@@ -0,0 +1,233 @@
+import { SOURCE_IDS, SOURCE_STATUS, SOURCE_CAPABILITIES } from './AudioSource';
+import LocalAnalyserSource from './LocalAnalyserSource';
+
+/**
+ * FileSource - Local audio file
+ *
+ * Decodes a file (MP3, WAV, FLAC, OGG or anything else the browser can
+ * decode) and plays it through the local analyser and the speakers, so
+ * visualizations can be tuned on a known track. The state carries the
+ * file's name, duration, whether it is playing and whether it loops; the
+ * position changes continuously and is read with getPosition.
+ */
+class FileSource extends LocalAnalyserSource {
+  /**
+   * @param {Object} audio - Object with the web app's audioContext and analyser
+   */
+  constructor(audio) {
+    super(SOURCE_IDS.FILE, 'Audio File', [SOURCE_CAPABILITIES.TRANSPORT], audio);
+    this.playback = null; // Decoded file with its playback position
+    this.state = { ...this.state, file: null };
+  }
+
+  /**
+   * Start the source, loading a file if one is given. Without a file the
+   * source waits until one is loaded
+   * @param {Object} options - Optional file (File or Blob with a name)
+   * @returns {Promise<boolean>} Whether the source started
+   */
+  async start(options = {}) {
+    if (!this.playback) {
+      this.setState({ status: SOURCE_STATUS.WAITING });
+    }
+
+    return options.file ? this.load(options.file) : true;
+  }
+
+  /**
+   * Stop playback and unload the file
+   */
+  stop() {
+    this.release();
+    this.setState({ status: SOURCE_STATUS.STOPPED, file: null });
+  }
+
+  /**
+   * Decode a file and start playing it, replacing the loaded one
+   * @param {File} file - Audio file
+   * @returns {Promise<boolean>} Whether the file could be decoded
+   */
+  async load(file) {
+    let buffer;
+    try {
+      buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+    } catch (error) {
+      console.error('Error decoding audio file:', error);
+      this.emitError(`Could not play ${file.name}: ${error.message || 'unsupported audio format'}`);
+      return false;
+    }
+
+    // The source may have been switched away from while the file was decoded
+    if (!this.isRunning()) {
+      return false;
+    }
+
+    // Replace the loaded file without passing through waiting
+    this.release();
+    this.playback = {
+      buffer,
+      node: null,      // AudioBufferSourceNode while playing
+      startedAt: 0,    // Context time at which position 0 would have played
+      position: 0,     // Position in seconds while paused
+      loop: false
+    };
+    this.setState({
+      file: { name: file.name, duration: buffer.duration, playing: false, loop: false }
+    });
+    this.startFrames();
+
+    console.log(`Audio file loaded (${file.name}, ${buffer.duration.toFixed(1)} s)`);
+    return this.play();
+  }
+
+  /**
+   * Start or resume playback of the loaded file
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  async play() {
+    const playback = this.playback;
+    if (!playback || playback.node) return false;
+
+    await this.resumeAudioContext();
+
+    // Another play (e.g. a double click) or a new file may have come first
+    if (this.playback !== playback || playback.node) return false;
+
+    // A buffer source plays once, so every play or seek starts a new one
+    const node = this.audioContext.createBufferSource();
+    node.buffer = playback.buffer;
+    node.loop = playback.loop;
+    node.connect(this.analyser);
+    node.connect(this.audioContext.destination);
+    node.onended = () => {
+      // Only the end of the track, not a pause or seek that replaced the node
+      if (this.playback !== playback || playback.node !== node) return;
+      playback.node = null;
+      playback.position = 0;
+      this.updateFile({ playing: false });
+    };
+
+    const position = playback.position >= playback.buffer.duration ? 0 : playback.position;
+    node.start(0, position);
+    playback.node = node;
+    playback.startedAt = this.audioContext.currentTime - position;
+
+    this.updateFile({ playing: true });
+    return true;
+  }
+
+  /**
+   * Pause the loaded file, keeping its position
+   * @returns {boolean} Whether playback was paused
+   */
+  pause() {
+    const playback = this.playback;
+    if (!playback || !playback.node) return false;
+
+    playback.position = this.getPosition();
+    this.stopNode();
+
+    this.updateFile({ playing: false });
+    return true;
+  }
+
+  /**
+   * Jump to a position in the loaded file, playing on if it was playing
+   * @param {number} position - Position in seconds
+   * @returns {boolean} Whether a file is loaded
+   */
+  seek(position) {
+    const playback = this.playback;
+    if (!playback) return false;
+
+    const wasPlaying = Boolean(playback.node);
+    this.stopNode();
+    playback.position = Math.max(0, Math.min(playback.buffer.duration, Number(position) || 0));
+
+    if (wasPlaying) {
+      this.play();
+    }
+    return true;
+  }
+
+  /**
+   * Repeat the loaded file when it ends
+   * @param {boolean} loop - Whether to loop
+   * @returns {boolean} Whether a file is loaded
+   */
+  setLoop(loop) {
+    const playback = this.playback;
+    if (!playback) return false;
+
+    // Keep the position continuous when leaving a loop that already wrapped around
+    const position = this.getPosition();
+    playback.loop = Boolean(loop);
+    if (playback.node) {
+      playback.node.loop = playback.loop;
+      playback.startedAt = this.audioContext.currentTime - position;
+    }
+
+    this.updateFile({ loop: playback.loop });
+    return true;
+  }
+
+  /**
+   * Get the playback position of the loaded file
+   * @returns {number} Position in seconds, 0 without a file
+   */
+  getPosition() {
+    const playback = this.playback;
+    if (!playback) return 0;
+    if (!playback.node) return playback.position;
+
+    const elapsed = this.audioContext.currentTime - playback.startedAt;
+    const duration = playback.buffer.duration;
+    return playback.loop ? elapsed % duration : Math.min(elapsed, duration);
+  }
+
+  /**
+   * Stop playback and close the loaded file, waiting for another one
+   */
+  unload() {
+    if (!this.playback) return;
+
+    this.release();
+    this.setState({ status: SOURCE_STATUS.WAITING, file: null });
+  }
+
+  /**
+   * Stop playback and reading frames, and drop the decoded file
+   */
+  release() {
+    if (!this.playback) return;
+
+    this.stopNode();
+    this.stopFrames();
+    this.playback = null;
+  }
+
+  /**
+   * Stop the node playing the file without treating it as the end of the track
+   */
+  stopNode() {
+    const node = this.playback.node;
+    if (!node) return;
+
+    this.playback.node = null;
+    node.onended = null;
+    node.stop();
+    node.disconnect();
+  }
+
+  /**
+   * Merge changes into the state's file details
+   * @param {Object} changes - Changed playing or loop fields
+   */
+  updateFile(changes) {
+    if (this.state.file) {
+      this.setState({ file: { ...this.state.file, ...changes } });
+    }
+  }
+}
+
+export default FileSource;
@@ -0,0 +1,145 @@
+import { SOURCE_IDS, SOURCE_STATUS, SOURCE_CAPABILITIES } from './AudioSource';
+import LocalAnalyserSource from './LocalAnalyserSource';
+
+/**
+ * InputSource - Microphone or line-in input
+ *
+ * Reads an input device, e.g. a mixer feed into a laptop's line-in,
+ * through the local analyser. The state carries the available devices
+ * (labels appear once the user allowed access) and the open device's ID.
+ */
+class InputSource extends LocalAnalyserSource {
+  /**
+   * @param {Object} audio - Object with the web app's audioContext and analyser
+   */
+  constructor(audio) {
+    super(SOURCE_IDS.INPUT, 'Microphone / Line-in', [SOURCE_CAPABILITIES.DEVICE_SELECTION], audio);
+    this.stream = null;
+    this.node = null;
+    this.state = { ...this.state, devices: [], deviceId: null };
+
+    // Keep the list of devices current as they are plugged in or out
+    this.refreshDevices = this.refreshDevices.bind(this);
+    if (navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+      this.refreshDevices();
+      navigator.mediaDevices.addEventListener('devicechange', this.refreshDevices);
+    }
+  }
+
+  /**
+   * Open an input device. Starting again switches to another device
+   * @param {Object} options - Optional deviceId, the default input if omitted
+   * @returns {Promise<boolean>} Whether the input was opened
+   */
+  async start(options = {}) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      this.emitError('Audio input is not supported by this browser');
+      return false;
+    }
+
+    if (!this.isRunning()) {
+      this.setState({ status: SOURCE_STATUS.WAITING });
+    }
+
+    let stream;
+    try {
+      // Processing meant for voice calls would distort a mixer feed
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          deviceId: options.deviceId ? { exact: options.deviceId } : undefined,
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false
+        }
+      });
+    } catch (error) {
+      console.error('Error opening audio input:', error);
+      this.emitError('Could not open audio input: ' + error.message);
+      return false;
+    }
+
+    // The source may have been switched away from while access was requested
+    if (!this.isRunning()) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this.closeStream();
+    await this.resumeAudioContext();
+
+    // Only the analyser listens; routing the input to the speakers would feed back
+    this.stream = stream;
+    this.node = this.audioContext.createMediaStreamSource(stream);
+    this.node.connect(this.analyser);
+
+    const [track] = stream.getAudioTracks();
+    track.addEventListener('ended', () => {
+      if (this.stream !== stream) return;
+      console.log('Audio input ended');
+      this.closeStream();
+      this.stopFrames();
+      this.setState({ status: SOURCE_STATUS.WAITING, deviceId: null });
+    });
+
+    this.setState({ deviceId: track.getSettings().deviceId || options.deviceId || null });
+    this.startFrames();
+
+    // Device labels become available once access was granted
+    this.refreshDevices();
+
+    console.log(`Audio input started (${track.label})`);
+    return true;
+  }
+
+  /**
+   * Close the input and release the device
+   */
+  stop() {
+    this.stopFrames();
+    this.closeStream();
+    this.setState({ status: SOURCE_STATUS.STOPPED, deviceId: null });
+  }
+
+  /**
+   * Disconnect and stop the open stream, if any
+   */
+  closeStream() {
+    if (!this.stream) return;
+
+    this.node.disconnect();
+    this.stream.getTracks().forEach(track => track.stop());
+    this.node = null;
+    this.stream = null;
+  }
+
+  /**
+   * List the audio input devices; labels stay empty until access was granted
+   */
+  async refreshDevices() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      this.setState({
+        devices: devices
+          .filter(device => device.kind === 'audioinput')
+          .map((device, index) => ({
+            deviceId: device.deviceId,
+            label: device.label || `Audio input ${index + 1}`
+          }))
+      });
+    } catch (error) {
+      console.warn('Could not list audio inputs:', error.message);
+    }
+  }
+
+  /**
+   * Stop watching for device changes and dispose the source
+   */
+  dispose() {
+    if (navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+      navigator.mediaDevices.removeEventListener('devicechange', this.refreshDevices);
+    }
+    super.dispose();
+  }
+}
+
+export default InputSource;
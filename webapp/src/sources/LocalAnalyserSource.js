@@ -0,0 +1,121 @@
+import AudioSource, { SOURCE_STATUS } from './AudioSource';
+
+// How often frames are read from the local analyser, in ms
+const LOCAL_FRAME_INTERVAL = 20;
+
+/**
+ * Apply analyser settings to an AnalyserNode, setting the decibel bounds in
+ * an order that never makes minDecibels >= maxDecibels
+ * @param {AnalyserNode} analyser - Analyser to configure
+ * @param {Object} config - fftSize, smoothing, minDecibels and maxDecibels
+ */
+export function applyAnalyserConfig(analyser, config) {
+  analyser.fftSize = config.fftSize;
+  analyser.smoothingTimeConstant = config.smoothing;
+
+  if (config.minDecibels >= analyser.maxDecibels) {
+    analyser.maxDecibels = config.maxDecibels;
+    analyser.minDecibels = config.minDecibels;
+  } else {
+    analyser.minDecibels = config.minDecibels;
+    analyser.maxDecibels = config.maxDecibels;
+  }
+}
+
+/**
+ * LocalAnalyserSource - Base class of sources analysed in the web app
+ *
+ * Audio inputs and files play into the web app's own AnalyserNode, shared
+ * by all local sources since only one is active at a time. While frames are
+ * started, the analyser is read at a fixed interval into frames of the
+ * same shape the extension sends.
+ */
+class LocalAnalyserSource extends AudioSource {
+  /**
+   * @param {string} id - Source ID
+   * @param {string} label - Name shown in the source switcher
+   * @param {Array<string>} capabilities - SOURCE_CAPABILITIES the source offers
+   * @param {Object} audio - Object with the web app's audioContext and analyser
+   */
+  constructor(id, label, capabilities, audio) {
+    super(id, label, capabilities);
+    this.audioContext = audio.audioContext;
+    this.analyser = audio.analyser;
+    this.frameTimer = null;
+  }
+
+  /**
+   * Start reading frames from the analyser and mark the source active
+   */
+  startFrames() {
+    if (!this.frameTimer) {
+      this.frameTimer = setInterval(() => this.readFrame(), LOCAL_FRAME_INTERVAL);
+    }
+    this.setState({ status: SOURCE_STATUS.ACTIVE });
+    this.notifyListeners('analyserConfig', this.getAnalyserConfig());
+  }
+
+  /**
+   * Stop reading frames from the analyser
+   */
+  stopFrames() {
+    clearInterval(this.frameTimer);
+    this.frameTimer = null;
+  }
+
+  /**
+   * Read one frame from the analyser
+   */
+  readFrame() {
+    const frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+    const timeData = new Uint8Array(this.analyser.fftSize);
+    this.analyser.getByteFrequencyData(frequencyData);
+    this.analyser.getByteTimeDomainData(timeData);
+
+    const now = Date.now();
+    this.emitFrame({ frequencyData, timeData, timestamp: now, capturedAt: now });
+  }
+
+  /**
+   * Resume the audio context, which browsers suspend until the user interacts
+   */
+  async resumeAudioContext() {
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+  }
+
+  /**
+   * Apply analyser settings to the shared analyser
+   * @param {Object} config - fftSize, smoothing, minDecibels and maxDecibels
+   */
+  setAnalyserConfig(config) {
+    try {
+      applyAnalyserConfig(this.analyser, config);
+    } catch (error) {
+      console.warn('Local analyser rejected config:', error.message);
+    }
+
+    if (this.frameTimer) {
+      this.notifyListeners('analyserConfig', this.getAnalyserConfig());
+    }
+  }
+
+  /**
+   * Get the settings of the shared analyser, in the shape the extension reports them
+   * @returns {Object} Analyser config
+   */
+  getAnalyserConfig() {
+    return {
+      fftSize: this.analyser.fftSize,
+      smoothing: this.analyser.smoothingTimeConstant,
+      minDecibels: this.analyser.minDecibels,
+      maxDecibels: this.analyser.maxDecibels,
+      extended: false,
+      frequencyBinCount: this.analyser.frequencyBinCount,
+      sampleRate: this.audioContext.sampleRate
+    };
+  }
+}
+
+export default LocalAnalyserSource;
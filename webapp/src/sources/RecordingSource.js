@@ -0,0 +1,339 @@
+import AudioSource, { SOURCE_IDS, SOURCE_STATUS, SOURCE_CAPABILITIES } from './AudioSource';
+import { getCaptureSourceStatus } from './ExtensionSource';
+import { SESSION_EVENTS, decodeSession } from '../utils/sessionFile';
+
+// Capture status assumed before a recording's first status event
+const DEFAULT_CAPTURE = { isCapturing: true, paused: false, reason: null, demoMode: false };
+
+/**
+ * RecordingSource - Replays a recorded extension session
+ *
+ * Replays a session file made with SessionRecorder at its original timing:
+ * frames keep the delay between their capture and their arrival, and
+ * capture status changes and analyser settings are replayed with them, so
+ * a glitch in a recording shows up the same way every time. Replay can be
+ * paused, moved to any position or stepped frame by frame. The state
+ * carries the session's name, duration, frame count and whether it plays,
+ * plus the replayed capture's reason and demoMode; the position changes
+ * continuously and is read with getPosition and getFrameIndex.
+ */
+class RecordingSource extends AudioSource {
+  constructor() {
+    super(SOURCE_IDS.RECORDING, 'Recorded Session', [SOURCE_CAPABILITIES.TRANSPORT]);
+    this.replay = null; // Decoded session with its replay position
+    this.state = { ...this.state, reason: null, demoMode: false, session: null };
+  }
+
+  /**
+   * Start the source, loading a session file if one is given. Without a
+   * file the source waits until one is loaded
+   * @param {Object} options - Optional file (File or Blob with a name)
+   * @returns {Promise<boolean>} Whether the source started
+   */
+  async start(options = {}) {
+    if (!this.replay) {
+      this.setState({ status: SOURCE_STATUS.WAITING });
+    }
+
+    return options.file ? this.load(options.file) : true;
+  }
+
+  /**
+   * Stop replaying and unload the session
+   */
+  stop() {
+    this.release();
+    this.setState({ status: SOURCE_STATUS.STOPPED, session: null, reason: null, demoMode: false });
+  }
+
+  /**
+   * Decode a session file and start replaying it, replacing the loaded one
+   * @param {File} file - Session file
+   * @returns {Promise<boolean>} Whether the file could be decoded
+   */
+  async load(file) {
+    let session;
+    try {
+      session = decodeSession(await file.arrayBuffer());
+    } catch (error) {
+      console.error('Error decoding session file:', error);
+      this.emitError(`Could not replay ${file.name}: ${error.message}`);
+      return false;
+    }
+
+    // The source may have been switched away from while the file was read
+    if (!this.isRunning()) {
+      return false;
+    }
+
+    const { events } = session;
+    const lastEvent = events[events.length - 1];
+    const frameIndices = [];
+    events.forEach((event, index) => {
+      if (event.type === SESSION_EVENTS.FRAME) frameIndices.push(index);
+    });
+
+    this.release();
+    this.replay = {
+      events,
+      frameIndices,    // Indices of the frame events, for stepping
+      duration: Math.max(session.duration || 0, lastEvent ? lastEvent.time : 0),
+      cursor: 0,       // Index of the next event to replay
+      position: 0,     // Position in ms while paused
+      startedAt: 0,    // Time at which position 0 would have replayed
+      timer: null,     // Timeout for the next event while playing
+      analyserConfig: null
+    };
+    this.setState({
+      session: {
+        name: file.name,
+        recordedAt: session.recordedAt,
+        duration: this.replay.duration / 1000,
+        frameCount: frameIndices.length,
+        playing: false
+      }
+    });
+    this.restoreAt(0);
+
+    console.log(`Session loaded (${file.name}, ${frameIndices.length} frames)`);
+    return this.play();
+  }
+
+  /**
+   * Start or resume replaying the loaded session, from the start if it ended
+   * @returns {boolean} Whether replay started
+   */
+  play() {
+    const replay = this.replay;
+    if (!replay || replay.timer) return false;
+
+    if (replay.position >= replay.duration) {
+      this.restoreAt(0);
+      replay.position = 0;
+    }
+
+    replay.startedAt = Date.now() - replay.position;
+    this.scheduleNext();
+
+    this.updateSession({ playing: true });
+    return true;
+  }
+
+  /**
+   * Pause the loaded session, keeping its position
+   * @returns {boolean} Whether replay was paused
+   */
+  pause() {
+    const replay = this.replay;
+    if (!replay || !replay.timer) return false;
+
+    replay.position = this.getElapsed();
+    clearTimeout(replay.timer);
+    replay.timer = null;
+
+    this.updateSession({ playing: false });
+    return true;
+  }
+
+  /**
+   * Jump to a position in the loaded session, showing the last frame before
+   * it and replaying on if it was playing
+   * @param {number} position - Position in seconds
+   * @returns {boolean} Whether a session is loaded
+   */
+  seek(position) {
+    const replay = this.replay;
+    if (!replay) return false;
+
+    const wasPlaying = this.pause();
+    const target = Math.max(0, Math.min(replay.duration, (Number(position) || 0) * 1000));
+
+    let cursor = 0;
+    while (cursor < replay.events.length && replay.events[cursor].time <= target) {
+      cursor++;
+    }
+    this.restoreAt(cursor);
+    replay.position = target;
+
+    if (wasPlaying) {
+      this.play();
+    }
+    return true;
+  }
+
+  /**
+   * Pause and show the next or previous frame
+   * @param {number} direction - 1 for the next frame, -1 for the previous one
+   * @returns {boolean} Whether a session is loaded
+   */
+  step(direction = 1) {
+    const replay = this.replay;
+    if (!replay || replay.frameIndices.length === 0) return false;
+
+    this.pause();
+    const frame = Math.max(0, Math.min(replay.frameIndices.length - 1, this.getFrameIndex() + direction));
+    const eventIndex = replay.frameIndices[frame];
+
+    this.restoreAt(eventIndex + 1);
+    replay.position = replay.events[eventIndex].time;
+    return true;
+  }
+
+  /**
+   * Get the replay position of the loaded session
+   * @returns {number} Position in seconds, 0 without a session
+   */
+  getPosition() {
+    return this.replay ? this.getElapsed() / 1000 : 0;
+  }
+
+  /**
+   * Get the number of the frame replayed last
+   * @returns {number} Index among the session's frames, -1 before the first
+   */
+  getFrameIndex() {
+    const replay = this.replay;
+    if (!replay) return -1;
+
+    let index = replay.frameIndices.length - 1;
+    while (index >= 0 && replay.frameIndices[index] >= replay.cursor) {
+      index--;
+    }
+    return index;
+  }
+
+  /**
+   * Get the analyser settings of the frames replayed last
+   * @returns {Object|null} Analyser config, or null if not known
+   */
+  getAnalyserConfig() {
+    return this.replay ? this.replay.analyserConfig : null;
+  }
+
+  /**
+   * Stop replaying and close the loaded session, waiting for another one
+   */
+  unload() {
+    if (!this.replay) return;
+
+    this.release();
+    this.setState({ status: SOURCE_STATUS.WAITING, session: null, reason: null, demoMode: false });
+  }
+
+  /**
+   * Stop replaying and drop the decoded session
+   */
+  release() {
+    if (!this.replay) return;
+
+    clearTimeout(this.replay.timer);
+    this.replay = null;
+  }
+
+  /**
+   * Get the replay position in ms
+   * @returns {number} Position, at most the session's duration
+   */
+  getElapsed() {
+    const replay = this.replay;
+    if (!replay.timer) return replay.position;
+    return Math.min(replay.duration, Date.now() - replay.startedAt);
+  }
+
+  /**
+   * Wait for the next event, or for the end of the session after the last one
+   */
+  scheduleNext() {
+    const replay = this.replay;
+    const event = replay.events[replay.cursor];
+    const due = event ? event.time : replay.duration;
+
+    replay.timer = setTimeout(() => {
+      if (this.replay !== replay) return;
+
+      const elapsed = Date.now() - replay.startedAt;
+      while (replay.cursor < replay.events.length && replay.events[replay.cursor].time <= elapsed) {
+        this.applyEvent(replay.events[replay.cursor++]);
+      }
+
+      if (replay.cursor < replay.events.length || elapsed < replay.duration) {
+        this.scheduleNext();
+      } else {
+        // The end of the session; play starts over from the beginning
+        replay.timer = null;
+        replay.position = replay.duration;
+        this.updateSession({ playing: false });
+      }
+    }, Math.max(0, due - (Date.now() - replay.startedAt)));
+  }
+
+  /**
+   * Restore what the session looked like after the events before an index:
+   * the last capture status, analyser settings and frame
+   * @param {number} cursor - Index of the next event to replay
+   */
+  restoreAt(cursor) {
+    const replay = this.replay;
+    let status = null;
+    let analyserConfig = null;
+    let frame = null;
+
+    for (let i = cursor - 1; i >= 0 && !(status && analyserConfig && frame); i--) {
+      const event = replay.events[i];
+      if (event.type === SESSION_EVENTS.STATUS && !status) status = event;
+      if (event.type === SESSION_EVENTS.ANALYSER_CONFIG && !analyserConfig) analyserConfig = event;
+      if (event.type === SESSION_EVENTS.FRAME && !frame) frame = event;
+    }
+
+    replay.cursor = cursor;
+    this.applyCaptureStatus(status ? status.data : DEFAULT_CAPTURE);
+    if (analyserConfig) this.applyEvent(analyserConfig);
+    if (frame) this.applyEvent(frame);
+  }
+
+  /**
+   * Replay one recorded event
+   * @param {Object} event - Event with type, time and data
+   */
+  applyEvent(event) {
+    switch (event.type) {
+      case SESSION_EVENTS.FRAME:
+        // Keep the delay between the frame's capture and its arrival
+        this.emitFrame({ ...event.data, capturedAt: Date.now() - (event.time - event.data.capturedAt) });
+        break;
+
+      case SESSION_EVENTS.STATUS:
+        this.applyCaptureStatus(event.data);
+        break;
+
+      case SESSION_EVENTS.ANALYSER_CONFIG:
+        this.replay.analyserConfig = event.data;
+        this.notifyListeners('analyserConfig', event.data);
+        break;
+    }
+  }
+
+  /**
+   * Take on a recorded capture status
+   * @param {Object} capture - isCapturing, paused, reason and demoMode
+   */
+  applyCaptureStatus(capture) {
+    this.setState({
+      status: getCaptureSourceStatus(capture),
+      reason: capture.reason || null,
+      demoMode: Boolean(capture.demoMode)
+    });
+  }
+
+  /**
+   * Merge changes into the state's session details
+   * @param {Object} changes - Changed playing field
+   */
+  updateSession(changes) {
+    if (this.state.session) {
+      this.setState({ session: { ...this.state.session, ...changes } });
+    }
+  }
+}
+
+export default RecordingSource;
@@ -0,0 +1,27 @@
+import ExtensionSource from './ExtensionSource';
+import DemoSource from './DemoSource';
+import InputSource from './InputSource';
+import FileSource from './FileSource';
+import RecordingSource from './RecordingSource';
+
+export { default as AudioSource, SOURCE_IDS, SOURCE_STATUS, SOURCE_CAPABILITIES } from './AudioSource';
+export { applyAnalyserConfig } from './LocalAnalyserSource';
+
+/**
+ * Create the audio sources offered in the source switcher, in display order
+ *
+ * Inputs and files need the web app's own audio context and analyser and
+ * are left out if the Web Audio API couldn't be initialized.
+ * @param {Object} audio - Object with audioContext and analyser, or null
+ * @returns {Array<AudioSource>} Sources
+ */
+export function createAudioSources(audio) {
+  const sources = [new ExtensionSource(), new DemoSource()];
+
+  if (audio && audio.audioContext && audio.analyser) {
+    sources.push(new InputSource(audio), new FileSource(audio));
+  }
+
+  sources.push(new RecordingSource());
+  return sources;
+}
@@ -0,0 +1,78 @@
+import { CANONICAL_BIN_WIDTH } from './frameNormalizer';
+
+/**
+ * Audio features - Coarse characteristics of a frame
+ *
+ * Bass, mid, treble and volume levels from 0 to 1, computed once per frame
+ * for visualizations that react to the overall sound rather than to bins.
+ * Frames are expected in the canonical format (see frameNormalizer), so
+ * bands are taken at the same frequencies whatever the source.
+ */
+
+// Frequency range of each band in Hz, upper bound excluded
+export const FREQUENCY_BANDS = {
+  bass: [20, 250],
+  mid: [250, 4000],
+  treble: [4000, 20000]
+};
+
+/**
+ * Average a range of frequency bins
+ * @param {Uint8Array} frequencyData - Byte frequency data
+ * @param {number} startIndex - First bin
+ * @param {number} endIndex - Bin after the last one
+ * @returns {number} Average level from 0 to 1
+ */
+export function calculateFrequencyRange(frequencyData, startIndex, endIndex) {
+  if (!frequencyData || frequencyData.length === 0) return 0;
+  
+  let sum = 0;
+  for (let i = startIndex; i < endIndex; i++) {
+    sum += frequencyData[i];
+  }
+  return sum / (endIndex - startIndex) / 255; // Normalize to 0-1
+}
+
+/**
+ * Estimate loudness from time domain data
+ * @param {Uint8Array} timeData - Byte time domain data
+ * @returns {number} Volume from 0 to 1
+ */
+export function calculateVolume(timeData) {
+  if (!timeData || timeData.length === 0) return 0;
+  
+  let sum = 0;
+  for (let i = 0; i < timeData.length; i++) {
+    const value = (timeData[i] - 128) / 128; // Convert to -1 to 1 range
+    sum += value * value; // Square for RMS
+  }
+  const rms = Math.sqrt(sum / timeData.length);
+  return Math.min(1, rms * 4); // Scale for better visualization
+}
+
+/**
+ * Average the canonical bins of a frequency band
+ * @param {Uint8Array} frequencyData - Canonical byte frequency data
+ * @param {Array<number>} band - Lowest and highest frequency in Hz
+ * @returns {number} Average level from 0 to 1
+ */
+export function calculateBandLevel(frequencyData, [low, high]) {
+  const startIndex = Math.round(low / CANONICAL_BIN_WIDTH);
+  const endIndex = Math.max(startIndex + 1, Math.min(frequencyData.length, Math.round(high / CANONICAL_BIN_WIDTH)));
+  return calculateFrequencyRange(frequencyData, startIndex, endIndex);
+}
+
+/**
+ * Get bass, mid, treble and volume of a frame
+ * @param {Uint8Array} frequencyData - Canonical byte frequency data
+ * @param {Uint8Array} timeData - Byte time domain data
+ * @returns {Object} bass, mid, treble and volume from 0 to 1
+ */
+export function getAudioCharacteristics(frequencyData, timeData) {
+  return {
+    bass: calculateBandLevel(frequencyData, FREQUENCY_BANDS.bass),
+    mid: calculateBandLevel(frequencyData, FREQUENCY_BANDS.mid),
+    treble: calculateBandLevel(frequencyData, FREQUENCY_BANDS.treble),
+    volume: calculateVolume(timeData)
+  };
+}
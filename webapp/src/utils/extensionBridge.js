@@ -1,14 +1,98 @@
+import darnvizProtocol from '../../../extension/protocol';
+
+const { MESSAGE_TYPES, CAPABILITIES } = darnvizProtocol;
+
+// Features the web app can use when the extension offers them
+const WEBAPP_CAPABILITIES = Object.values(CAPABILITIES);
+
+/**
+ * States of the connection to the extension
+ * 
+ * checking -> connected once the handshake succeeds, streaming while audio
+ * frames arrive and stalled when an active capture stops delivering them.
+ * A missed heartbeat or an explicit disconnect leads to disconnected, from
+ * which the handshake is retried with exponential backoff. incompatible is
+ * final until the page is reloaded.
+ */
+export const CONNECTION_STATES = {
+  CHECKING: 'checking',
+  CONNECTED: 'connected',
+  STREAMING: 'streaming',
+  STALLED: 'stalled',
+  DISCONNECTED: 'disconnected',
+  INCOMPATIBLE: 'incompatible'
+};
+
+// States in which the extension is reachable
+const CONNECTED_STATES = [
+  CONNECTION_STATES.CONNECTED,
+  CONNECTION_STATES.STREAMING,
+  CONNECTION_STATES.STALLED
+];
+
+// How long the first handshake may go unanswered before the extension counts as missing
+const HANDSHAKE_TIMEOUT = 3000;
+
+// Handshake retry delays double from the base delay up to the maximum
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Heartbeat period, and how long without an answer before the connection counts as lost
+const HEARTBEAT_INTERVAL = 2000;
+const HEARTBEAT_TIMEOUT = 6000;
+
+// How long an active capture may go without frames before it counts as stalled
+const FRAME_TIMEOUT = 1500;
+
+// Period of the watchdog that sends heartbeats and checks both timeouts
+const WATCHDOG_INTERVAL = 500;
+
+// Period of the latency pings used to sync with the extension's clock
+const PING_INTERVAL = 2000;
+
+// Number of recent pings whose best (lowest round trip) sample sets the clock offset
+const CLOCK_SAMPLE_COUNT = 8;
+
+// Weight of a new frame in the smoothed latency, and the RFC 3550 jitter gain
+const LATENCY_SMOOTHING = 0.1;
+const JITTER_SMOOTHING = 1 / 16;
+
 /**
  * ExtensionBridge - Communication bridge between web app and browser extension
  * 
- * Handles messaging between the extension and web app.
+ * Handles messaging between the extension and web app. Messages follow the
+ * shared protocol in extension/protocol.js, and the ready/connected handshake
+ * negotiates protocol version and capabilities. The handshake is the only
+ * traffic on window; everything else goes through the MessageChannel port
+ * the content script hands over with DARNVIZ_EXTENSION_CONNECTED.
  */
 class ExtensionBridge {
   constructor() {
     this.listeners = new Map();
     this.isConnected = false;
+    this.connectionState = CONNECTION_STATES.CHECKING;
+    this.connectionStateChangedAt = Date.now();
+    this.hasConnected = false; // Whether a handshake ever succeeded on this page
     this.isCapturing = false;
+    this.captureStatus = null; // Last capture status sent to captureStatus listeners
+    this.expectingFrames = false; // Capturing and not paused, so frames should arrive
     this.extensionVersion = null;
+    this.protocolVersion = null;
+    this.capabilities = [];
+    this.incompatibility = null; // Set when the extension's protocol is too old
+    this.analyserConfig = null;
+    this.channelPort = null; // Our end of the content script's MessageChannel
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.watchdogInterval = null;
+    this.lastHeartbeatSent = 0;
+    this.lastHeartbeatAck = 0;
+    this.lastFrameTime = 0;
+    this.pingId = 0;
+    this.lastPingSent = 0;
+    this.resetLatencyStats();
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleChannelMessage = this.handleChannelMessage.bind(this);
     
     // Initialize connection with extension
     this.initialize();
@@ -21,30 +105,258 @@ class ExtensionBridge {
     console.log('Initializing extension bridge...');
     
     // Set up listener for messages from the extension
-    window.addEventListener('message', this.handleMessage.bind(this));
+    window.addEventListener('message', this.handleMessage);
     
-    // Announce that the web app is ready
+    // Announce that the web app is ready, retrying until the extension answers
     this.announceWebAppReady();
+    this.scheduleReconnect();
+    
+    return this;
+  }
+  
+  /**
+   * Move to a new connection state and tell listeners
+   * @param {string} state - One of CONNECTION_STATES
+   */
+  setConnectionState(state) {
+    if (state === this.connectionState) return;
+    
+    console.log(`Extension connection: ${this.connectionState} -> ${state}`);
+    this.connectionState = state;
+    this.connectionStateChangedAt = Date.now();
+    this.isConnected = CONNECTED_STATES.includes(state);
+    if (this.isConnected) {
+      this.hasConnected = true;
+    }
+    
+    this.notifyListeners('connectionState', {
+      state,
+      hasConnected: this.hasConnected
+    });
+  }
+  
+  /**
+   * Retry the handshake after a delay that doubles with every attempt
+   */
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
     
-    // Periodically check for extension connection if not connected
-    this.connectionCheckInterval = setInterval(() => {
-      if (!this.isConnected) {
-        this.announceWebAppReady();
+    const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempt), RECONNECT_MAX_DELAY);
+    this.reconnectAttempt++;
+    
+    this.reconnectTimer = setTimeout(() => {
+      if (this.isConnected || this.connectionState === CONNECTION_STATES.INCOMPATIBLE) return;
+      
+      // Nobody answered the first handshake in time, so no extension is listening
+      if (this.connectionState === CONNECTION_STATES.CHECKING &&
+          Date.now() - this.connectionStateChangedAt >= HANDSHAKE_TIMEOUT) {
+        this.setConnectionState(CONNECTION_STATES.DISCONNECTED);
       }
-    }, 3000);
+      
+      this.announceWebAppReady();
+      this.scheduleReconnect();
+    }, delay);
+  }
+  
+  /**
+   * Send heartbeats and check for a lost connection or stalled frames
+   */
+  runWatchdog() {
+    if (!this.isConnected) return;
     
-    return this;
+    const now = Date.now();
+    
+    if (this.hasCapability(CAPABILITIES.HEARTBEAT)) {
+      if (now - this.lastHeartbeatAck > HEARTBEAT_TIMEOUT) {
+        console.warn('Extension stopped answering heartbeats');
+        this.handleConnectionLost();
+        return;
+      }
+      
+      if (now - this.lastHeartbeatSent >= HEARTBEAT_INTERVAL) {
+        this.lastHeartbeatSent = now;
+        this.postToExtension({ type: MESSAGE_TYPES.HEARTBEAT });
+      }
+    }
+    
+    if (this.expectingFrames && now - this.lastFrameTime > FRAME_TIMEOUT) {
+      this.setConnectionState(CONNECTION_STATES.STALLED);
+    }
+    
+    if (this.hasCapability(CAPABILITIES.LATENCY) && now - this.lastPingSent >= PING_INTERVAL) {
+      this.lastPingSent = now;
+      this.postToExtension({ type: MESSAGE_TYPES.PING, id: ++this.pingId, sentAt: now });
+    }
+  }
+  
+  /**
+   * Forget clock sync and latency measurements, e.g. after reconnecting
+   */
+  resetLatencyStats() {
+    this.clockSamples = [];
+    this.clockOffset = 0;     // Extension clock minus our clock, in ms
+    this.roundTripTime = null;
+    this.latency = null;      // Smoothed time from frame capture to arrival here, in ms
+    this.jitter = 0;          // Smoothed variation of that latency, in ms
+    this.lastTransitTime = null;
   }
   
   /**
-   * Handle incoming messages from the extension
+   * Use a ping's answer to estimate the offset between the two clocks
+   * 
+   * Assuming the answer was stamped halfway through the round trip, the
+   * sample with the shortest round trip gives the most accurate offset.
+   * @param {Object} data - DARNVIZ_PONG message
+   */
+  handlePong(data) {
+    const roundTripTime = Date.now() - data.sentAt;
+    const offset = data.extensionTime - (data.sentAt + roundTripTime / 2);
+    
+    this.clockSamples.push({ roundTripTime, offset });
+    if (this.clockSamples.length > CLOCK_SAMPLE_COUNT) {
+      this.clockSamples.shift();
+    }
+    
+    const best = this.clockSamples.reduce((a, b) => (b.roundTripTime < a.roundTripTime ? b : a));
+    this.clockOffset = best.offset;
+    this.roundTripTime = roundTripTime;
+    
+    this.notifyListeners('latency', this.getLatencyStats());
+  }
+  
+  /**
+   * Update latency and jitter from one frame's transit time
+   * @param {number} transitTime - Time from capture to arrival, in ms
+   */
+  updateLatency(transitTime) {
+    if (this.latency === null) {
+      this.latency = transitTime;
+    } else {
+      this.latency += (transitTime - this.latency) * LATENCY_SMOOTHING;
+      this.jitter += (Math.abs(transitTime - this.lastTransitTime) - this.jitter) * JITTER_SMOOTHING;
+    }
+    this.lastTransitTime = transitTime;
+  }
+  
+  /**
+   * Get the latest latency measurements
+   * @returns {Object} Object with latency, jitter, roundTripTime and clockOffset
+   *   in ms; latency and roundTripTime are null until measured
+   */
+  getLatencyStats() {
+    return {
+      latency: this.latency,
+      jitter: this.jitter,
+      roundTripTime: this.roundTripTime,
+      clockOffset: this.clockOffset
+    };
+  }
+  
+  /**
+   * Drop the channel after the extension went away and start retrying the handshake
+   */
+  handleConnectionLost() {
+    clearInterval(this.watchdogInterval);
+    this.watchdogInterval = null;
+    this.resetLatencyStats();
+    
+    this.closeChannel();
+    
+    this.setConnectionState(CONNECTION_STATES.DISCONNECTED);
+    this.notifyListeners('disconnected');
+    
+    if (this.isCapturing) {
+      this.handleCaptureStatus(false);
+    }
+    
+    this.announceWebAppReady();
+    this.scheduleReconnect();
+  }
+  
+  /**
+   * Handle handshake messages the content script posts on window
    */
   handleMessage(event) {
-    // Ensure message is from the same window (content script uses window.postMessage)
-    if (event.source !== window) return;
+    // The content script posts from this window and origin; frames and other windows can't
+    if (event.source !== window || event.origin !== window.location.origin) return;
     
     const data = event.data;
-    if (!data || !data.type) return;
+    
+    // Only handle messages the extension sends; our own postMessages echo back here
+    if (!data || darnvizProtocol.getSender(data.type) !== 'extension') return;
+    
+    if (!darnvizProtocol.isWindowMessage(data.type)) {
+      console.warn(`Rejecting ${data.type}: not received through the extension channel`);
+      return;
+    }
+    
+    const validation = darnvizProtocol.validate(data);
+    if (!validation.valid) {
+      console.warn('Ignoring invalid message from extension:', validation.error);
+      return;
+    }
+    
+    switch (data.type) {
+      case MESSAGE_TYPES.EXTENSION_LOADED:
+        // The content script just loaded; start the handshake without waiting for the next retry
+        if (!this.isConnected && !this.incompatibility) {
+          this.announceWebAppReady();
+        }
+        break;
+        
+      case MESSAGE_TYPES.EXTENSION_CONNECTED:
+        // A compatible extension transfers its channel with this message
+        if (event.ports && event.ports[0]) {
+          this.openChannel(event.ports[0]);
+        }
+        this.handleExtensionConnected(data);
+        break;
+    }
+  }
+  
+  /**
+   * Switch to a new channel port handed over by the content script
+   * @param {MessagePort} port - Our end of the channel
+   */
+  openChannel(port) {
+    this.closeChannel();
+    
+    this.channelPort = port;
+    this.channelPort.onmessage = this.handleChannelMessage;
+  }
+  
+  /**
+   * Give up the current channel. The content script keeps a channel until
+   * we release it, so it's told before our end is closed
+   */
+  closeChannel() {
+    if (!this.channelPort) return;
+    
+    try {
+      this.postToExtension({ type: MESSAGE_TYPES.CLOSE_CHANNEL });
+    } catch (error) {
+      // The content script may already be gone
+    }
+    this.channelPort.close();
+    this.channelPort = null;
+  }
+  
+  /**
+   * Handle messages from the extension arriving through the channel
+   */
+  handleChannelMessage(event) {
+    const data = event.data;
+    
+    if (!data || darnvizProtocol.getSender(data.type) !== 'extension') {
+      console.warn('Ignoring unexpected message on the extension channel:', data && data.type);
+      return;
+    }
+    
+    const validation = darnvizProtocol.validate(data);
+    if (!validation.valid) {
+      console.warn('Ignoring invalid message from extension:', validation.error);
+      return;
+    }
     
     // Log incoming messages occasionally
     if (Date.now() % 5000 < 50) { // Every ~5 seconds
@@ -57,63 +369,168 @@ class ExtensionBridge {
     
     // Process message based on type
     switch (data.type) {
-      case 'DARNVIZ_EXTENSION_LOADED':
-      case 'DARNVIZ_EXTENSION_CONNECTED':
-        this.handleExtensionConnected(data.version);
+      case MESSAGE_TYPES.EXTENSION_CONNECTED:
+        // Sent again through the channel after the extension's service worker restarts
+        this.handleExtensionConnected(data);
         break;
         
-      case 'DARNVIZ_CAPTURE_STATUS':
-        this.handleCaptureStatus(data.isCapturing, data.tabId);
+      case MESSAGE_TYPES.EXTENSION_DISCONNECTED:
+        this.handleExtensionDisconnected();
         break;
         
-      case 'DARNVIZ_AUDIO_DATA':
-        this.handleAudioData(data);
+      case MESSAGE_TYPES.CAPTURE_STATUS:
+        this.handleCaptureStatus(data.isCapturing, data.tabId, data);
         break;
         
-      case 'AUDIO_DATA_UPDATE': // Also handle this message type from content script
-        console.log('Received AUDIO_DATA_UPDATE directly from content script');
+      case MESSAGE_TYPES.AUDIO_DATA:
         this.handleAudioData(data);
         break;
         
-      case 'DARNVIZ_AUDIO_DATA_ERROR':
-      case 'DARNVIZ_CAPTURE_ERROR':
-      case 'DARNVIZ_AUDIO_PROCESSING_ERROR':
+      case MESSAGE_TYPES.CAPTURE_ERROR:
         this.handleError(data.type, data.error);
         break;
         
-      case 'DARNVIZ_AUDIO_PROCESSING_READY':
-        console.log('Audio processing is ready in the extension');
-        this.notifyListeners('processingReady');
+      case MESSAGE_TYPES.MONITOR_STATUS:
+        this.notifyListeners('monitorStatus', { volume: data.volume, muted: data.muted });
+        break;
+        
+      case MESSAGE_TYPES.ANALYSER_CONFIG:
+        this.handleAnalyserConfig(data);
+        break;
+        
+      case MESSAGE_TYPES.NEXT_VISUALIZATION:
+        this.notifyListeners('nextVisualization');
+        break;
+        
+      case MESSAGE_TYPES.PREVIOUS_VISUALIZATION:
+        this.notifyListeners('previousVisualization');
         break;
         
-      case 'DARNVIZ_READY_ACKNOWLEDGED':
+      case MESSAGE_TYPES.TOGGLE_FULLSCREEN:
+        this.notifyListeners('toggleFullscreen', { fullscreen: data.fullscreen });
+        break;
+        
+      case MESSAGE_TYPES.READY_ACKNOWLEDGED:
+        // Only confirms the extension got READY_FOR_DATA; capture status arrives separately
         console.log('Extension acknowledged our ready signal');
-        this.notifyListeners('captureStatus', { isCapturing: true });
         break;
         
-      default:
-        console.log(`Received unknown message type: ${data.type}`);
+      case MESSAGE_TYPES.HEARTBEAT_ACK:
+        this.lastHeartbeatAck = Date.now();
+        break;
+        
+      case MESSAGE_TYPES.PONG:
+        this.handlePong(data);
         break;
     }
   }
   
   /**
-   * Handle extension connected event
+   * Handle the extension answering our ready signal
+   * @param {Object} data - Message with version, protocolVersion and capabilities
    */
-  handleExtensionConnected(version) {
-    console.log(`Extension connected (version ${version})`);
-    this.isConnected = true;
-    this.extensionVersion = version;
-    this.notifyListeners('connected', { version });
+  handleExtensionConnected(data) {
+    const protocolVersion = data.protocolVersion || 1;
+    
+    if (!darnvizProtocol.isCompatibleVersion(data.protocolVersion)) {
+      console.error(`Extension ${data.version} speaks protocol ${protocolVersion}, ` +
+        `but at least ${darnvizProtocol.MIN_PROTOCOL_VERSION} is required`);
+      clearTimeout(this.reconnectTimer);
+      this.extensionVersion = data.version;
+      this.incompatibility = {
+        extensionVersion: data.version,
+        protocolVersion,
+        requiredVersion: darnvizProtocol.MIN_PROTOCOL_VERSION
+      };
+      this.setConnectionState(CONNECTION_STATES.INCOMPATIBLE);
+      this.notifyListeners('incompatible', this.incompatibility);
+      return;
+    }
+    
+    if (!this.channelPort) {
+      console.error('Extension connected without opening a message channel');
+      return;
+    }
+    
+    console.log(`Extension connected (version ${data.version}, protocol ${protocolVersion})`);
+    this.extensionVersion = data.version;
+    this.protocolVersion = protocolVersion;
+    this.capabilities = darnvizProtocol.negotiateCapabilities(WEBAPP_CAPABILITIES, data.capabilities);
+    
+    // Stop retrying the handshake and start watching the connection
+    clearTimeout(this.reconnectTimer);
+    this.reconnectAttempt = 0;
+    this.lastHeartbeatAck = Date.now();
+    this.lastFrameTime = Date.now();
+    if (!this.watchdogInterval) {
+      this.watchdogInterval = setInterval(() => this.runWatchdog(), WATCHDOG_INTERVAL);
+    }
+    if (!this.isConnected) {
+      this.setConnectionState(CONNECTION_STATES.CONNECTED);
+    }
+    
+    this.notifyListeners('connected', {
+      version: data.version,
+      protocolVersion,
+      capabilities: this.capabilities
+    });
+  }
+  
+  /**
+   * Handle the content script losing its port to the extension
+   */
+  handleExtensionDisconnected() {
+    console.log('Extension disconnected');
+    this.handleConnectionLost();
   }
   
   /**
    * Handle capture status update
+   * @param {boolean} isCapturing - Whether the extension is capturing
+   * @param {number} tabId - ID of the captured tab, if any
+   * @param {Object} details - Optional demoMode, paused, reason and resumed fields from the extension
    */
-  handleCaptureStatus(isCapturing, tabId) {
+  handleCaptureStatus(isCapturing, tabId, details = {}) {
     console.log(`Capture status update: ${isCapturing ? 'Active' : 'Inactive'}`);
     this.isCapturing = isCapturing;
-    this.notifyListeners('captureStatus', { isCapturing, tabId });
+    
+    // Give a newly active capture a full frame timeout before calling it stalled
+    const expectingFrames = isCapturing && !details.paused;
+    if (expectingFrames && !this.expectingFrames) {
+      this.lastFrameTime = Date.now();
+    }
+    this.expectingFrames = expectingFrames;
+    if (!expectingFrames && this.isConnected) {
+      this.setConnectionState(CONNECTION_STATES.CONNECTED);
+    }
+    
+    this.captureStatus = {
+      isCapturing,
+      tabId,
+      demoMode: details.demoMode,
+      paused: Boolean(details.paused),
+      reason: details.reason || null,
+      resumed: Boolean(details.resumed)
+    };
+    this.notifyListeners('captureStatus', this.captureStatus);
+  }
+  
+  /**
+   * Handle the analyser settings the extension is actually using
+   * @param {Object} data - Message with fftSize, smoothing, minDecibels,
+   *   maxDecibels, extended, frequencyBinCount and sampleRate
+   */
+  handleAnalyserConfig(data) {
+    this.analyserConfig = {
+      fftSize: data.fftSize,
+      smoothing: data.smoothing,
+      minDecibels: data.minDecibels,
+      maxDecibels: data.maxDecibels,
+      extended: Boolean(data.extended),
+      frequencyBinCount: data.frequencyBinCount,
+      sampleRate: data.sampleRate
+    };
+    this.notifyListeners('analyserConfig', this.analyserConfig);
   }
   
   /**
@@ -144,11 +561,23 @@ class ExtensionBridge {
       return;
     }
     
+    this.lastFrameTime = Date.now();
+    if (this.isConnected) {
+      this.setConnectionState(CONNECTION_STATES.STREAMING);
+    }
+    
+    // The frame's timestamp on our clock, i.e. when its audio was analysed
+    const capturedAt = data.timestamp - this.clockOffset;
+    this.updateLatency(this.lastFrameTime - capturedAt);
+    
     // Forward to listeners
     this.notifyListeners('audioData', {
       frequencyData: data.frequencyData,
       timeData: data.timeData,
-      timestamp: data.timestamp
+      sourceLevels: data.sourceLevels,
+      channels: data.channels,
+      timestamp: data.timestamp,
+      capturedAt
     });
   }
   
@@ -164,7 +593,19 @@ class ExtensionBridge {
    * Announce that the web app is ready to the extension
    */
   announceWebAppReady() {
-    window.postMessage({ type: 'DARNVIZ_WEBAPP_READY' }, '*');
+    window.postMessage({
+      type: MESSAGE_TYPES.WEBAPP_READY,
+      protocolVersion: darnvizProtocol.PROTOCOL_VERSION,
+      capabilities: WEBAPP_CAPABILITIES
+    }, window.location.origin);
+  }
+  
+  /**
+   * Send a message to the extension through the channel
+   * @param {Object} message - Protocol message
+   */
+  postToExtension(message) {
+    this.channelPort.postMessage(message);
   }
   
   /**
@@ -177,7 +618,7 @@ class ExtensionBridge {
     }
     
     // Instead of trying to start capture, just tell the extension we're ready to receive data
-    window.postMessage({ type: 'DARNVIZ_READY_FOR_DATA' }, '*');
+    this.postToExtension({ type: MESSAGE_TYPES.READY_FOR_DATA });
     console.log('Sent READY_FOR_DATA signal to extension');
     return true;
   }
@@ -191,10 +632,64 @@ class ExtensionBridge {
       return false;
     }
     
-    window.postMessage({ type: 'DARNVIZ_STOP_CAPTURE' }, '*');
+    this.postToExtension({ type: MESSAGE_TYPES.STOP_CAPTURE });
+    return true;
+  }
+  
+  /**
+   * Change playback of the captured audio, which the extension routes back
+   * to the speakers because tab capture silences the tab
+   * @param {Object} monitor - Object with optional volume (0-1) and muted
+   * @returns {boolean} Whether the request was sent
+   */
+  setMonitor(monitor) {
+    if (!this.isConnected) {
+      console.error('Cannot set monitor: Extension not connected');
+      return false;
+    }
+    
+    this.postToExtension({
+      type: MESSAGE_TYPES.SET_MONITOR,
+      volume: monitor.volume,
+      muted: monitor.muted
+    });
+    return true;
+  }
+  
+  /**
+   * Change the extension's analyser. Values are applied live and the
+   * effective settings come back as an analyserConfig event
+   * @param {Object} config - Object with optional fftSize, smoothing,
+   *   minDecibels, maxDecibels and extended (float per-channel frames)
+   * @returns {boolean} Whether the request was sent
+   */
+  setAnalyserConfig(config) {
+    if (!this.isConnected) {
+      console.error('Cannot set analyser config: Extension not connected');
+      return false;
+    }
+    
+    this.postToExtension({ type: MESSAGE_TYPES.SET_ANALYSER_CONFIG, config });
     return true;
   }
   
+  /**
+   * Get the analyser settings last reported by the extension
+   * @returns {Object|null} Analyser config or null if none reported yet
+   */
+  getAnalyserConfig() {
+    return this.analyserConfig;
+  }
+  
+  /**
+   * Get the capture status last reported by the extension
+   * @returns {Object|null} Capture status as sent to captureStatus listeners,
+   *   or null if none reported yet
+   */
+  getCaptureStatus() {
+    return this.captureStatus;
+  }
+  
   /**
    * Add a listener for a specific event type
    * @param {string} type - Event type to listen for
@@ -243,6 +738,14 @@ class ExtensionBridge {
     return this.isConnected;
   }
   
+  /**
+   * Get the state of the connection to the extension
+   * @returns {string} One of CONNECTION_STATES
+   */
+  getConnectionState() {
+    return this.connectionState;
+  }
+  
   /**
    * Get the extension version
    * @returns {string|null} Extension version or null if not connected
@@ -251,15 +754,41 @@ class ExtensionBridge {
     return this.extensionVersion;
   }
   
+  /**
+   * Check whether both sides support a capability
+   * @param {string} capability - One of the protocol's CAPABILITIES
+   * @returns {boolean} Whether the capability was negotiated
+   */
+  hasCapability(capability) {
+    return this.capabilities.includes(capability);
+  }
+  
+  /**
+   * Get the capabilities negotiated with the extension
+   * @returns {Array<string>} Capabilities both sides support
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+  
+  /**
+   * Get why the extension couldn't be used, if its protocol is too old
+   * @returns {Object|null} Object with extensionVersion, protocolVersion and
+   *   requiredVersion, or null if the extension is compatible or not found
+   */
+  getIncompatibility() {
+    return this.incompatibility;
+  }
+  
   /**
    * Cleanup resources when the component unmounts
    */
   cleanup() {
-    if (this.connectionCheckInterval) {
-      clearInterval(this.connectionCheckInterval);
-    }
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.watchdogInterval);
     
     window.removeEventListener('message', this.handleMessage);
+    this.closeChannel();
     this.listeners.clear();
   }
 }
@@ -0,0 +1,174 @@
+/**
+ * FrameBuffer - Jitter buffer for audio frames from the extension
+ *
+ * Frames arrive about every 50ms with some jitter, while visualizations
+ * render at the display's refresh rate. The buffer keeps recent frames
+ * ordered by capture time and samples them at any render time, blending
+ * the two frames on either side so values change smoothly between frames.
+ */
+
+// Frames kept at most; older ones are dropped first
+const MAX_BUFFERED_FRAMES = 32;
+
+// Expected time between frames until it has been measured
+const DEFAULT_FRAME_INTERVAL = 50;
+
+// Weight of a new gap between frames in the measured frame interval
+const FRAME_INTERVAL_SMOOTHING = 0.1;
+
+// Gaps longer than this (e.g. a paused capture) don't count towards the interval
+const MAX_FRAME_GAP = 1000;
+
+class FrameBuffer {
+  constructor() {
+    this.frames = [];              // Ordered by capturedAt, oldest first
+    this.frameInterval = DEFAULT_FRAME_INTERVAL;
+    this.playedUntil = -Infinity;  // Capture time of the newest frame sampled so far
+  }
+
+  /**
+   * Add a frame, keeping the buffer ordered by capture time
+   *
+   * Frames older than what has already been sampled arrived too late to be
+   * shown and are dropped.
+   * @param {Object} frame - Frame with capturedAt (ms) and its audio data
+   * @returns {boolean} Whether the frame was buffered
+   */
+  push(frame) {
+    if (frame.capturedAt < this.playedUntil) {
+      return false;
+    }
+
+    let index = this.frames.length;
+    while (index > 0 && this.frames[index - 1].capturedAt > frame.capturedAt) {
+      index--;
+    }
+
+    // Measure the frame interval from in-order arrivals only
+    if (index === this.frames.length && index > 0) {
+      const gap = frame.capturedAt - this.frames[index - 1].capturedAt;
+      if (gap > 0 && gap < MAX_FRAME_GAP) {
+        this.frameInterval += (gap - this.frameInterval) * FRAME_INTERVAL_SMOOTHING;
+      }
+    }
+
+    this.frames.splice(index, 0, frame);
+    if (this.frames.length > MAX_BUFFERED_FRAMES) {
+      this.frames.shift();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the audio data for a render time
+   *
+   * Between two frames the result is interpolated. Before the oldest or
+   * after the newest frame (the buffer ran dry) the nearest frame is held.
+   * @param {number} renderTime - Time on the frames' capturedAt clock, in ms
+   * @returns {Object|null} Frame data, or null if the buffer is empty
+   */
+  sample(renderTime) {
+    if (this.frames.length === 0) {
+      return null;
+    }
+
+    let index = -1;
+    while (index + 1 < this.frames.length && this.frames[index + 1].capturedAt <= renderTime) {
+      index++;
+    }
+
+    if (index === -1) {
+      return this.frames[0];
+    }
+
+    // Frames before the current one won't be needed again
+    this.frames.splice(0, index);
+    const previous = this.frames[0];
+    this.playedUntil = previous.capturedAt;
+
+    if (this.frames.length === 1) {
+      return previous;
+    }
+
+    const next = this.frames[1];
+    const t = (renderTime - previous.capturedAt) / (next.capturedAt - previous.capturedAt);
+    return interpolateFrame(previous, next, t);
+  }
+
+  /**
+   * Get the measured time between frames
+   * @returns {number} Frame interval in ms
+   */
+  getFrameInterval() {
+    return this.frameInterval;
+  }
+
+  /**
+   * Drop all buffered frames, e.g. when capture stops
+   */
+  clear() {
+    this.frames = [];
+    this.playedUntil = -Infinity;
+  }
+}
+
+/**
+ * Blend two frames
+ * @param {Object} a - Earlier frame
+ * @param {Object} b - Later frame
+ * @param {number} t - Position between them, 0 at a and 1 at b
+ * @returns {Object} Interpolated frame
+ */
+function interpolateFrame(a, b, t) {
+  const sourceLevels = {};
+  Object.keys(b.sourceLevels).forEach(sourceId => {
+    const from = a.sourceLevels[sourceId] !== undefined ? a.sourceLevels[sourceId] : b.sourceLevels[sourceId];
+    sourceLevels[sourceId] = lerp(from, b.sourceLevels[sourceId], t);
+  });
+
+  return {
+    capturedAt: lerp(a.capturedAt, b.capturedAt, t),
+    frequencyData: lerpArray(a.frequencyData, b.frequencyData, t),
+    timeData: lerpArray(a.timeData, b.timeData, t),
+    bass: lerp(a.bass, b.bass, t),
+    mid: lerp(a.mid, b.mid, t),
+    treble: lerp(a.treble, b.treble, t),
+    volume: lerp(a.volume, b.volume, t),
+    sourceLevels,
+    left: interpolateChannel(a.left, b.left, t),
+    right: interpolateChannel(a.right, b.right, t)
+  };
+}
+
+// Blend the float data of one channel, if both frames carry it
+function interpolateChannel(a, b, t) {
+  if (!a || !b) {
+    return t < 0.5 ? a : b;
+  }
+
+  return {
+    frequencyData: lerpArray(a.frequencyData, b.frequencyData, t),
+    timeData: lerpArray(a.timeData, b.timeData, t)
+  };
+}
+
+// Blend two arrays element by element; arrays of different length (the FFT
+// size changed between frames) can't be blended, so the nearer one is used
+function lerpArray(a, b, t) {
+  if (a.length !== b.length) {
+    return t < 0.5 ? a : b;
+  }
+
+  const result = new Float32Array(b.length);
+  for (let i = 0; i < b.length; i++) {
+    result[i] = a[i] + (b[i] - a[i]) * t;
+  }
+  return result;
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export default FrameBuffer;
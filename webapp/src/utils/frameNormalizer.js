@@ -0,0 +1,245 @@
+/**
+ * Frame normalizer - Validates incoming frames and brings them to one size
+ *
+ * Sources deliver frames of different sizes: the extension's analyser uses
+ * whatever FFT size was requested, old demo frames have 64 bins, and the
+ * sample rate differs between devices, so bin i means a different
+ * frequency depending on where a frame came from. Every frame is checked
+ * (array types, lengths, values out of range or NaN) and resampled to the
+ * canonical format: CANONICAL_FRAME.binCount bins evenly covering
+ * 0 - CANONICAL_FRAME.maxFrequency Hz and CANONICAL_FRAME.timeSamples
+ * waveform samples. Visualizations and band math can then rely on bin i
+ * always being i * CANONICAL_BIN_WIDTH Hz.
+ */
+
+// Size and frequency range of normalized frames
+export const CANONICAL_FRAME = {
+  binCount: 1024,
+  maxFrequency: 22050,  // Nyquist frequency at 44.1 kHz
+  timeSamples: 2048
+};
+
+// Frequency step between two canonical bins, in Hz
+export const CANONICAL_BIN_WIDTH = CANONICAL_FRAME.maxFrequency / CANONICAL_FRAME.binCount;
+
+// Sample rate assumed for frames whose source doesn't report one
+const DEFAULT_SAMPLE_RATE = 44100;
+
+// Spectrum floor in dB assumed when the source doesn't report its
+// analyser's minDecibels (the Web Audio default)
+const DEFAULT_MIN_DECIBELS = -100;
+
+// Largest frame an AnalyserNode can produce (fftSize 32768)
+const MAX_TIME_SAMPLES = 32768;
+const MAX_FREQUENCY_BINS = MAX_TIME_SAMPLES / 2;
+
+// The same problem is reported at most this often, in ms
+const WARNING_INTERVAL = 5000;
+
+const lastWarnings = new Map(); // Time each kind of problem was last reported
+
+/**
+ * Validate a raw frame and resample it to the canonical format
+ *
+ * Frames without usable frequency or time data are rejected. Values that
+ * are out of the 0-255 range are clamped and NaN values replaced (silence
+ * for time data, the floor for frequency data), so one bad value doesn't
+ * cost the whole frame. Channel spectra in dB are raised to the analyser's
+ * minDecibels, since silent bins come in as -Infinity and would turn
+ * interpolated values into NaN.
+ * @param {Object} data - Raw frame with frequencyData, timeData and optional channels
+ * @param {number} sampleRate - Sample rate of the source's analyser, if known
+ * @param {number} minDecibels - Floor of the source's analyser in dB, if known
+ * @returns {Object|null} frequencyData and timeData as Uint8Arrays and
+ *   channels with Float32Arrays, or null if the frame is unusable
+ */
+export function normalizeFrame(data, sampleRate, minDecibels) {
+  const { frequencyData, timeData } = data;
+
+  if (!isUsableArray(frequencyData, MAX_FREQUENCY_BINS) || !isUsableArray(timeData, MAX_TIME_SAMPLES)) {
+    warn('invalid', 'Dropping frame without usable frequency or time data', {
+      frequencyBins: frequencyData ? frequencyData.length : null,
+      timeSamples: timeData ? timeData.length : null
+    });
+    return null;
+  }
+
+  // An analyser's spectrum always has half as many bins as waveform samples
+  if (timeData.length !== frequencyData.length * 2) {
+    warn('mismatch', 'Frame sizes don\'t match', {
+      frequencyBins: frequencyData.length,
+      timeSamples: timeData.length
+    });
+  }
+
+  const nyquist = (sampleRate > 0 ? sampleRate : DEFAULT_SAMPLE_RATE) / 2;
+  const floor = Number.isFinite(minDecibels) ? minDecibels : DEFAULT_MIN_DECIBELS;
+  const frequencyBytes = toBytes(frequencyData, 0);
+  const timeBytes = toBytes(timeData, 128);
+
+  return {
+    frequencyData: resampleSpectrum(frequencyBytes, nyquist, new Uint8Array(CANONICAL_FRAME.binCount), 0),
+    timeData: resampleWaveform(timeBytes, new Uint8Array(CANONICAL_FRAME.timeSamples)),
+    channels: data.channels && {
+      left: normalizeChannel(data.channels.left, nyquist, floor),
+      right: normalizeChannel(data.channels.right, nyquist, floor)
+    }
+  };
+}
+
+/**
+ * Resample one channel of an extended frame
+ * @param {Object} channel - Float dB frequencyData and -1 to 1 timeData
+ * @param {number} nyquist - Highest frequency of the channel's spectrum
+ * @param {number} floor - Lowest level of the spectrum in dB
+ * @returns {Object|null} Channel with canonical Float32Arrays, null if unusable
+ */
+function normalizeChannel(channel, nyquist, floor) {
+  if (!channel || !isUsableArray(channel.frequencyData, MAX_FREQUENCY_BINS) ||
+      !isUsableArray(channel.timeData, MAX_TIME_SAMPLES)) {
+    return null;
+  }
+
+  const frequencyData = toFloats(channel.frequencyData, floor, floor);
+  const timeData = toFloats(channel.timeData, 0);
+  return {
+    frequencyData: resampleSpectrum(frequencyData, nyquist, new Float32Array(CANONICAL_FRAME.binCount), floor),
+    timeData: resampleWaveform(timeData, new Float32Array(CANONICAL_FRAME.timeSamples))
+  };
+}
+
+/**
+ * Resample a spectrum covering 0 - nyquist Hz onto the canonical bins
+ *
+ * Where a canonical bin covers several source bins it takes the loudest,
+ * so narrow peaks survive; where it falls between two it interpolates.
+ * Canonical bins above the source's Nyquist frequency get the floor value.
+ * @param {Uint8Array|Float32Array} values - Source bins, bin i at i * nyquist / length Hz
+ * @param {number} nyquist - Highest frequency of the source spectrum
+ * @param {Uint8Array|Float32Array} output - Canonical bins to fill
+ * @param {number} floor - Value for bins without signal
+ * @returns {Uint8Array|Float32Array} output
+ */
+function resampleSpectrum(values, nyquist, output, floor) {
+  const round = output instanceof Uint8Array ? Math.round : (value) => value;
+  // Width of a canonical bin, measured in source bins
+  const ratio = CANONICAL_BIN_WIDTH / (nyquist / values.length);
+  const last = values.length - 1;
+
+  for (let i = 0; i < output.length; i++) {
+    const center = i * ratio;
+
+    if (center > last + 0.5) {
+      output[i] = floor;
+    } else if (ratio > 1) {
+      const from = Math.max(0, Math.ceil(center - ratio / 2));
+      const to = Math.max(from, Math.min(last, Math.floor(center + ratio / 2)));
+      let loudest = values[from];
+      for (let j = from + 1; j <= to; j++) {
+        if (values[j] > loudest) loudest = values[j];
+      }
+      output[i] = loudest;
+    } else {
+      const index = Math.min(Math.floor(center), last);
+      const next = Math.min(index + 1, last);
+      const t = center - index;
+      output[i] = t > 0 ? round(values[index] + (values[next] - values[index]) * t) : values[index];
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Resample a waveform to the canonical number of samples, interpolating
+ * linearly so its shape over the frame is kept
+ * @param {Uint8Array|Float32Array} values - Source samples
+ * @param {Uint8Array|Float32Array} output - Canonical samples to fill
+ * @returns {Uint8Array|Float32Array} output
+ */
+function resampleWaveform(values, output) {
+  const round = output instanceof Uint8Array ? Math.round : (value) => value;
+  const step = values.length > 1 ? (values.length - 1) / (output.length - 1) : 0;
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, values.length - 1);
+    output[i] = round(values[index] + (values[next] - values[index]) * (position - index));
+  }
+
+  return output;
+}
+
+/**
+ * Check that a value is a non-empty array or typed array of at most a given length
+ * @param {*} values - Value to check
+ * @param {number} maxLength - Largest allowed length
+ * @returns {boolean} Whether the values can be used
+ */
+function isUsableArray(values, maxLength) {
+  return Boolean(values) && (Array.isArray(values) || ArrayBuffer.isView(values)) &&
+    values.length > 0 && values.length <= maxLength;
+}
+
+/**
+ * Copy values into a Uint8Array, clamping them to 0-255
+ * @param {Array|Uint8Array} values - Byte values
+ * @param {number} fallback - Replacement for NaN and non-numbers
+ * @returns {Uint8Array} Valid bytes
+ */
+function toBytes(values, fallback) {
+  if (values instanceof Uint8Array) return values;
+
+  const bytes = new Uint8Array(values.length);
+  let invalid = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = Number(values[i]);
+    if (Number.isNaN(value)) {
+      bytes[i] = fallback;
+      invalid++;
+    } else {
+      if (value < 0 || value > 255) invalid++;
+      bytes[i] = Math.max(0, Math.min(255, Math.round(value)));
+    }
+  }
+
+  if (invalid > 0) {
+    warn('range', `Replaced ${invalid} invalid byte value(s) in frame`);
+  }
+  return bytes;
+}
+
+/**
+ * Copy values into a Float32Array, replacing NaN
+ * @param {Array|Float32Array} values - Float values
+ * @param {number} fallback - Replacement for NaN and non-numbers
+ * @param {number} min - Optional lowest value; smaller ones, -Infinity included, are raised to it
+ * @returns {Float32Array} Values without NaN
+ */
+function toFloats(values, fallback, min = -Infinity) {
+  const floats = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const value = Number(values[i]);
+    floats[i] = Number.isNaN(value) ? fallback : Math.max(min, value);
+  }
+  return floats;
+}
+
+/**
+ * Report a frame problem, at most once per WARNING_INTERVAL for each kind
+ * @param {string} kind - Kind of problem
+ * @param {string} message - Description
+ * @param {Object} details - Optional details to log
+ */
+function warn(kind, message, details) {
+  const now = Date.now();
+  if (now - (lastWarnings.get(kind) || 0) < WARNING_INTERVAL) return;
+
+  lastWarnings.set(kind, now);
+  if (details) {
+    console.warn(message, details);
+  } else {
+    console.warn(message);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * FrameStore - External store for audio frames
+ *
+ * Frames arrive 20+ times a second, far more often than React should
+ * render. The store keeps the most recent frames in a ring buffer outside
+ * React state: render loops read them directly with getLatest(), and UI
+ * that only needs coarse values subscribes with an interval so it renders
+ * a few times a second at most. subscribe() and getLatest() follow the
+ * contract of React's useSyncExternalStore.
+ */
+
+// Frames kept in the ring buffer; older ones are overwritten
+const DEFAULT_CAPACITY = 64;
+
+class FrameStore {
+  /**
+   * @param {number} capacity - Number of recent frames to keep
+   */
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.capacity = capacity;
+    this.frames = new Array(capacity); // Ring buffer, written at nextIndex
+    this.nextIndex = 0;
+    this.size = 0;
+    this.latest = null;
+    this.subscribers = new Set();
+
+    // Bound so they can be handed to useSyncExternalStore as they are
+    this.subscribe = this.subscribe.bind(this);
+    this.getLatest = this.getLatest.bind(this);
+  }
+
+  /**
+   * Add a frame and notify subscribers
+   * @param {Object} frame - Audio frame
+   */
+  push(frame) {
+    this.frames[this.nextIndex] = frame;
+    this.nextIndex = (this.nextIndex + 1) % this.capacity;
+    this.size = Math.min(this.size + 1, this.capacity);
+    this.latest = frame;
+    this.notify();
+  }
+
+  /**
+   * Get the newest frame
+   *
+   * Returns the same object until the next push, so it can be used as a
+   * useSyncExternalStore snapshot.
+   * @returns {Object|null} Newest frame, or null if there is none
+   */
+  getLatest() {
+    return this.latest;
+  }
+
+  /**
+   * Get the frames in the ring buffer
+   * @param {number} count - Maximum number of frames, newest ones are kept
+   * @returns {Array<Object>} Frames, oldest first
+   */
+  getFrames(count = this.size) {
+    const length = Math.min(count, this.size);
+    const frames = [];
+    for (let i = length; i > 0; i--) {
+      frames.push(this.frames[(this.nextIndex - i + this.capacity) % this.capacity]);
+    }
+    return frames;
+  }
+
+  /**
+   * Subscribe to new frames
+   *
+   * With an interval the listener is called at most once per interval. A
+   * frame arriving sooner schedules a call at the end of the interval, so
+   * the last frame of a burst is always delivered.
+   * @param {Function} listener - Called without arguments when frames changed
+   * @param {number} interval - Minimum time between calls in ms, 0 for every frame
+   * @returns {Function} Function to unsubscribe
+   */
+  subscribe(listener, interval = 0) {
+    const subscriber = { listener, interval, lastCalled: 0, timer: null };
+    this.subscribers.add(subscriber);
+
+    return () => {
+      clearTimeout(subscriber.timer);
+      this.subscribers.delete(subscriber);
+    };
+  }
+
+  /**
+   * Drop all frames, e.g. when capture stops
+   */
+  clear() {
+    this.frames = new Array(this.capacity);
+    this.nextIndex = 0;
+    this.size = 0;
+    this.latest = null;
+    this.notify();
+  }
+
+  /**
+   * Call subscribers whose interval has passed and schedule the others
+   */
+  notify() {
+    const now = Date.now();
+
+    this.subscribers.forEach(subscriber => {
+      if (subscriber.timer) return;
+
+      const wait = subscriber.lastCalled + subscriber.interval - now;
+      if (wait <= 0) {
+        callSubscriber(subscriber);
+      } else {
+        subscriber.timer = setTimeout(() => callSubscriber(subscriber), wait);
+      }
+    });
+  }
+}
+
+// Call a subscriber's listener, logging errors so one broken listener
+// doesn't stop frames reaching the others
+function callSubscriber(subscriber) {
+  subscriber.timer = null;
+  subscriber.lastCalled = Date.now();
+
+  try {
+    subscriber.listener();
+  } catch (error) {
+    console.error('Error in frame store subscriber:', error);
+  }
+}
+
+export default FrameStore;
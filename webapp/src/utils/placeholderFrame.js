@@ -0,0 +1,35 @@
+import darnvizSignals from '../../../extension/signals';
+import { getAudioCharacteristics } from './audioFeatures';
+import { normalizeFrame } from './frameNormalizer';
+
+// Generated frames are reused for this long, so visualizations drawing in
+// the same display frame share one
+const PLACEHOLDER_FRAME_INTERVAL = 16;
+
+const generator = darnvizSignals.createSignalGenerator();
+const startTime = Date.now();
+let placeholder = null;
+
+/**
+ * Get a synthetic frame for visualizations to draw before real frames arrive
+ *
+ * Uses the shared signal generator's default program, so placeholders look
+ * like the demo rather than each visualization's own idea of fake audio.
+ * @returns {Object} Frame with frequencyData, timeData, bass, mid, treble and volume
+ */
+export default function getPlaceholderFrame() {
+  const now = Date.now();
+  if (!placeholder || now - placeholder.generatedAt >= PLACEHOLDER_FRAME_INTERVAL) {
+    const { frequencyData, timeData } = normalizeFrame(
+      generator.generateFrame((now - startTime) / 1000),
+      darnvizSignals.FRAME_FORMAT.sampleRate
+    );
+    placeholder = {
+      generatedAt: now,
+      frequencyData,
+      timeData,
+      ...getAudioCharacteristics(frequencyData, timeData)
+    };
+  }
+  return placeholder;
+}
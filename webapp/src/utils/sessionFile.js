@@ -0,0 +1,259 @@
+/**
+ * Session files - Compact binary recordings of extension traffic
+ *
+ * A session is what arrived at the extension bridge while recording:
+ * frames, capture status changes and analyser settings, each with the time
+ * it arrived. Frames are stored as raw bytes (and float32 for extended
+ * channel data) rather than JSON, so a minute of frames takes a few MB.
+ *
+ * Layout, little-endian:
+ * - 'DVZS', uint8 format version, uint32 header length, JSON header with
+ *   recordedAt (ms since epoch) and duration (ms)
+ * - records: uint8 record type, float64 arrival time (ms after the start),
+ *   uint32 payload length, payload
+ *
+ * Frame payloads hold the extension's timestamp (float64), capturedAt
+ * relative to the start (float64), frequencyData and timeData (uint32
+ * length and bytes each), sourceLevels as JSON (uint32 length, 0 if absent)
+ * and a channel mask (uint8, bit 0 left, bit 1 right) followed by each
+ * present channel's frequencyData and timeData (uint32 length and float32
+ * values each). Status and analyser config payloads are JSON.
+ */
+
+const MAGIC = 'DVZS';
+const FORMAT_VERSION = 1;
+
+// File name extension of session files
+export const SESSION_FILE_EXTENSION = '.dvzs';
+
+// Kinds of recorded events
+export const SESSION_EVENTS = {
+  FRAME: 'frame',
+  STATUS: 'status',
+  ANALYSER_CONFIG: 'analyserConfig'
+};
+
+const RECORD_TYPES = {
+  [SESSION_EVENTS.FRAME]: 1,
+  [SESSION_EVENTS.STATUS]: 2,
+  [SESSION_EVENTS.ANALYSER_CONFIG]: 3
+};
+
+const RECORD_HEADER_SIZE = 1 + 8 + 4;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Check whether a file looks like a session file, going by its name
+ * @param {File} file - File to check
+ * @returns {boolean} Whether the name ends in SESSION_FILE_EXTENSION
+ */
+export function isSessionFile(file) {
+  return Boolean(file && file.name && file.name.toLowerCase().endsWith(SESSION_FILE_EXTENSION));
+}
+
+/**
+ * Encode one recorded event
+ * @param {string} type - One of SESSION_EVENTS
+ * @param {number} time - Arrival time in ms after the start of the recording
+ * @param {Object} data - Frame relative to the start (see encodeFrame), capture status or analyser config
+ * @returns {Uint8Array} Encoded record
+ */
+export function encodeRecord(type, time, data) {
+  const payload = type === SESSION_EVENTS.FRAME ? encodeFrame(data) : textEncoder.encode(JSON.stringify(data));
+  const record = new Uint8Array(RECORD_HEADER_SIZE + payload.length);
+  const view = new DataView(record.buffer);
+
+  view.setUint8(0, RECORD_TYPES[type]);
+  view.setFloat64(1, time, true);
+  view.setUint32(9, payload.length, true);
+  record.set(payload, RECORD_HEADER_SIZE);
+  return record;
+}
+
+/**
+ * Put encoded records together into a session file
+ * @param {Array<Uint8Array>} records - Records from encodeRecord, in arrival order
+ * @param {Object} header - recordedAt and duration
+ * @returns {Blob} Session file contents
+ */
+export function createSessionBlob(records, header) {
+  const headerJson = textEncoder.encode(JSON.stringify(header));
+  const prefix = new Uint8Array(MAGIC.length + 1 + 4);
+  const view = new DataView(prefix.buffer);
+
+  prefix.set(textEncoder.encode(MAGIC), 0);
+  view.setUint8(MAGIC.length, FORMAT_VERSION);
+  view.setUint32(MAGIC.length + 1, headerJson.length, true);
+
+  return new Blob([prefix, headerJson, ...records], { type: 'application/octet-stream' });
+}
+
+/**
+ * Decode a session file
+ * @param {ArrayBuffer} buffer - Session file contents
+ * @returns {Object} Header fields plus events, each with type, time and
+ *   data, in arrival order
+ * @throws {Error} If the file isn't a session file or is damaged
+ */
+export function decodeSession(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  if (buffer.byteLength < MAGIC.length + 5 || textDecoder.decode(bytes.subarray(0, MAGIC.length)) !== MAGIC) {
+    throw new Error('not a DarnViz session file');
+  }
+
+  const version = view.getUint8(MAGIC.length);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`unsupported session format version ${version}`);
+  }
+
+  const headerLength = view.getUint32(MAGIC.length + 1, true);
+  let offset = MAGIC.length + 5;
+  const header = parseJson(bytes, offset, headerLength);
+  offset += headerLength;
+
+  const events = [];
+  while (offset < buffer.byteLength) {
+    if (offset + RECORD_HEADER_SIZE > buffer.byteLength) {
+      throw new Error('session file is truncated');
+    }
+
+    const recordType = view.getUint8(offset);
+    const time = view.getFloat64(offset + 1, true);
+    const length = view.getUint32(offset + 9, true);
+    const payloadOffset = offset + RECORD_HEADER_SIZE;
+    if (payloadOffset + length > buffer.byteLength) {
+      throw new Error('session file is truncated');
+    }
+
+    const type = Object.keys(RECORD_TYPES).find(key => RECORD_TYPES[key] === recordType);
+    // Skip record types added by later versions of the format
+    if (type) {
+      const data = type === SESSION_EVENTS.FRAME
+        ? decodeFrame(buffer, payloadOffset)
+        : parseJson(bytes, payloadOffset, length);
+      events.push({ type, time, data });
+    }
+
+    offset = payloadOffset + length;
+  }
+
+  return { ...header, events };
+}
+
+/**
+ * Encode a frame payload
+ * @param {Object} frame - frequencyData, timeData, timestamp, capturedAt
+ *   (ms after the start of the recording) and optional sourceLevels and channels
+ * @returns {Uint8Array} Payload
+ */
+function encodeFrame(frame) {
+  const channels = frame.channels || {};
+  const channelList = [channels.left, channels.right];
+  const sourceLevels = frame.sourceLevels ? textEncoder.encode(JSON.stringify(frame.sourceLevels)) : new Uint8Array(0);
+
+  let size = 8 + 8 + 4 + frame.frequencyData.length + 4 + frame.timeData.length + 4 + sourceLevels.length + 1;
+  channelList.forEach(channel => {
+    if (channel) {
+      size += 4 + channel.frequencyData.length * 4 + 4 + channel.timeData.length * 4;
+    }
+  });
+
+  const payload = new Uint8Array(size);
+  const view = new DataView(payload.buffer);
+  let offset = 0;
+
+  const writeBytes = (values) => {
+    view.setUint32(offset, values.length, true);
+    payload.set(values, offset + 4);
+    offset += 4 + values.length;
+  };
+  const writeFloats = (values) => {
+    view.setUint32(offset, values.length, true);
+    offset += 4;
+    for (let i = 0; i < values.length; i++, offset += 4) {
+      view.setFloat32(offset, values[i], true);
+    }
+  };
+
+  view.setFloat64(offset, frame.timestamp, true);
+  view.setFloat64(offset + 8, frame.capturedAt, true);
+  offset += 16;
+  writeBytes(frame.frequencyData);
+  writeBytes(frame.timeData);
+  writeBytes(sourceLevels);
+
+  view.setUint8(offset, (channels.left ? 1 : 0) | (channels.right ? 2 : 0));
+  offset += 1;
+  channelList.forEach(channel => {
+    if (channel) {
+      writeFloats(channel.frequencyData);
+      writeFloats(channel.timeData);
+    }
+  });
+
+  return payload;
+}
+
+/**
+ * Decode a frame payload
+ * @param {ArrayBuffer} buffer - Session file contents
+ * @param {number} start - Offset of the payload
+ * @returns {Object} Frame as passed to encodeFrame, with Uint8Array and Float32Array data
+ */
+function decodeFrame(buffer, start) {
+  const view = new DataView(buffer);
+  let offset = start;
+
+  const readBytes = () => {
+    const length = view.getUint32(offset, true);
+    const values = new Uint8Array(buffer.slice(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+    return values;
+  };
+  const readFloats = () => {
+    const length = view.getUint32(offset, true);
+    const values = new Float32Array(length);
+    offset += 4;
+    for (let i = 0; i < length; i++, offset += 4) {
+      values[i] = view.getFloat32(offset, true);
+    }
+    return values;
+  };
+  const readChannel = () => ({ frequencyData: readFloats(), timeData: readFloats() });
+
+  const timestamp = view.getFloat64(offset, true);
+  const capturedAt = view.getFloat64(offset + 8, true);
+  offset += 16;
+  const frequencyData = readBytes();
+  const timeData = readBytes();
+  const sourceLevels = readBytes();
+
+  const channelMask = view.getUint8(offset);
+  offset += 1;
+  const left = channelMask & 1 ? readChannel() : null;
+  const right = channelMask & 2 ? readChannel() : null;
+
+  return {
+    frequencyData,
+    timeData,
+    sourceLevels: sourceLevels.length > 0 ? JSON.parse(textDecoder.decode(sourceLevels)) : undefined,
+    channels: left || right ? { left, right } : undefined,
+    timestamp,
+    capturedAt
+  };
+}
+
+/**
+ * Parse JSON stored as UTF-8 bytes
+ * @param {Uint8Array} bytes - Session file contents
+ * @param {number} offset - Start of the JSON
+ * @param {number} length - Length in bytes
+ * @returns {*} Parsed value
+ */
+function parseJson(bytes, offset, length) {
+  return JSON.parse(textDecoder.decode(bytes.subarray(offset, offset + length)));
+}
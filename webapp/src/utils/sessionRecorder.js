@@ -0,0 +1,117 @@
+import { SESSION_EVENTS, encodeRecord, createSessionBlob } from './sessionFile';
+
+/**
+ * SessionRecorder - Records what arrives at the extension bridge
+ *
+ * Frames, capture status changes and analyser settings are encoded as
+ * they arrive, with their arrival time, and put together into a session
+ * file when recording stops. Replaying the file with the recorded session
+ * source reproduces the stream exactly, including its timing.
+ */
+class SessionRecorder {
+  /**
+   * @param {ExtensionBridge} bridge - Bridge to record from
+   */
+  constructor(bridge) {
+    this.bridge = bridge;
+    this.records = null;      // Encoded records while recording
+    this.startedAt = 0;
+    this.frameCount = 0;
+    this.removeListeners = [];
+  }
+
+  /**
+   * Start recording, beginning with the current capture status and
+   * analyser settings so a replay starts in the same state
+   * @returns {boolean} Whether recording started; false if already recording
+   */
+  start() {
+    if (this.isRecording()) return false;
+
+    this.records = [];
+    this.startedAt = Date.now();
+    this.frameCount = 0;
+
+    const captureStatus = this.bridge.getCaptureStatus();
+    if (captureStatus) {
+      this.record(SESSION_EVENTS.STATUS, captureStatus);
+    }
+    const analyserConfig = this.bridge.getAnalyserConfig();
+    if (analyserConfig) {
+      this.record(SESSION_EVENTS.ANALYSER_CONFIG, analyserConfig);
+    }
+
+    this.removeListeners = [
+      this.bridge.addListener('audioData', (data) => this.recordFrame(data)),
+      this.bridge.addListener('captureStatus', (status) => this.record(SESSION_EVENTS.STATUS, status)),
+      this.bridge.addListener('analyserConfig', (config) => this.record(SESSION_EVENTS.ANALYSER_CONFIG, config))
+    ];
+
+    console.log('Session recording started');
+    return true;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Blob|null} Session file, or null if not recording
+   */
+  stop() {
+    if (!this.isRecording()) return null;
+
+    this.removeListeners.forEach(removeListener => removeListener());
+    this.removeListeners = [];
+
+    const blob = createSessionBlob(this.records, {
+      recordedAt: this.startedAt,
+      duration: this.getDuration()
+    });
+    this.records = null;
+
+    console.log(`Session recording stopped (${this.frameCount} frames, ${blob.size} bytes)`);
+    return blob;
+  }
+
+  /**
+   * Check whether a recording is in progress
+   * @returns {boolean} Whether recording
+   */
+  isRecording() {
+    return this.records !== null;
+  }
+
+  /**
+   * Get the length of the current recording
+   * @returns {number} Time since recording started in ms, 0 when not recording
+   */
+  getDuration() {
+    return this.isRecording() ? Date.now() - this.startedAt : 0;
+  }
+
+  /**
+   * Get the number of frames in the current recording
+   * @returns {number} Frame count
+   */
+  getFrameCount() {
+    return this.frameCount;
+  }
+
+  /**
+   * Record a frame, storing its capture time relative to the start
+   * @param {Object} data - Frame from the extension bridge
+   */
+  recordFrame(data) {
+    this.record(SESSION_EVENTS.FRAME, { ...data, capturedAt: data.capturedAt - this.startedAt });
+    this.frameCount++;
+  }
+
+  /**
+   * Encode an event with its arrival time
+   * @param {string} type - One of SESSION_EVENTS
+   * @param {Object} data - Event data
+   */
+  record(type, data) {
+    this.records.push(encodeRecord(type, Date.now() - this.startedAt, data));
+  }
+}
+
+export default SessionRecorder;